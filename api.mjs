@@ -2,13 +2,58 @@ export default {
   getState: async ({ homey }) => {
     return homey.app.onAPIGetState();
   },
+  getDiagnostics: async ({ homey }) => {
+    return homey.app.onAPIGetDiagnostics();
+  },
   getDevices: async ({ homey }) => {
     return homey.app.onAPIGetDevices();
   },
+  getExposeRules: async ({ homey }) => {
+    return homey.app.onAPIGetExposeRules();
+  },
+  setExposeRules: async ({ homey, body }) => {
+    return homey.app.onAPISetExposeRules({ rules: body.rules });
+  },
   enableDevice: async ({ homey, body }) => {
     return homey.app.onAPIEnableDevice({ deviceId: body.deviceId });
   },
   disableDevice: async ({ homey, body }) => {
     return homey.app.onAPIDisableDevice({ deviceId: body.deviceId });
-  }
+  },
+  enableDevices: async ({ homey, body }) => {
+    return homey.app.onAPIEnableDevices({ deviceIds: body.deviceIds });
+  },
+  disableDevices: async ({ homey, body }) => {
+    return homey.app.onAPIDisableDevices({ deviceIds: body.deviceIds });
+  },
+  setDeviceOverride: async ({ homey, body }) => {
+    return homey.app.onAPISetDeviceOverride({ deviceId: body.deviceId, override: body.override });
+  },
+  getFabrics: async ({ homey }) => {
+    return homey.app.onAPIGetFabrics();
+  },
+  setFabricLabel: async ({ homey, body }) => {
+    return homey.app.onAPISetFabricLabel({ fabricIndex: body.fabricIndex, label: body.label });
+  },
+  removeFabric: async ({ homey, body }) => {
+    return homey.app.onAPIRemoveFabric({ fabricIndex: body.fabricIndex });
+  },
+  openCommissioningWindow: async ({ homey }) => {
+    return homey.app.onAPIOpenCommissioningWindow();
+  },
+  closeCommissioningWindow: async ({ homey }) => {
+    return homey.app.onAPICloseCommissioningWindow();
+  },
+  factoryReset: async ({ homey, body }) => {
+    return homey.app.onAPIFactoryReset({ regenerateIdentity: body.regenerateIdentity });
+  },
+  rotatePairingCode: async ({ homey }) => {
+    return homey.app.onAPIRotatePairingCode();
+  },
+  exportConfig: async ({ homey }) => {
+    return homey.app.onAPIExportConfig();
+  },
+  importConfig: async ({ homey, body }) => {
+    return homey.app.onAPIImportConfig({ config: body.config });
+  },
 };
\ No newline at end of file
@@ -2,13 +2,47 @@ import crypto from 'node:crypto';
 
 import Homey from 'homey';
 import { HomeyAPI } from 'homey-api';
+import PQueue from 'p-queue';
 import MatterBridgeServer from './MatterBridgeServer.mjs'
+import {
+  generatePasscode,
+  generateDiscriminator,
+  isValidPasscode,
+  isValidDiscriminator,
+  isValidVendorId,
+  isValidProductId,
+  isValidPort,
+  validateDeviceOverride,
+  validateExposeRule,
+  isBridgeableDevice,
+} from './MatterBridgeUtil.mjs';
+
+// Bump when the exported configuration changes incompatibly.
+const CONFIG_VERSION = 1;
+
+// Settings that define the bridge, and are included in an exported configuration.
+// An imported value must be valid, because an invalid one prevents the server from starting.
+const IDENTITY_SETTING_VALIDATORS = {
+  deviceName: isNonEmptyString,
+  vendorName: isNonEmptyString,
+  vendorId: isValidVendorId,
+  productName: isNonEmptyString,
+  productId: isValidProductId,
+  uniqueId: isNonEmptyString,
+  serialNumber: isNonEmptyString,
+  passcode: isValidPasscode,
+  discriminator: isValidDiscriminator,
+  port: isValidPort,
+};
+const IDENTITY_SETTING_KEYS = Object.keys(IDENTITY_SETTING_VALIDATORS);
 
 export default class MatterBridgeApp extends Homey.App {
 
   async onInit() {
     this.log('Starting Matter Bridge Server...');
 
+    this.__enabledDeviceIdsQueue = new PQueue({ concurrency: 1 });
+
     this.homey.on('cpuwarn', ({ count, limit }) => {
       this.log(`CPU Warning: ${count}/${limit}`);
 
@@ -21,7 +55,7 @@ export default class MatterBridgeApp extends Homey.App {
         this.__resumeQueueTimeout = setTimeout(() => {
           this.log('Resuming Queues...');
           clearTimeout(this.__resumeQueueTimeout);
-          this.server.resumeQueue();
+          this.server?.resumeQueue();
         }, 11000); // 11s
       }
     });
@@ -40,7 +74,38 @@ export default class MatterBridgeApp extends Homey.App {
     await this.api.devices.connect();
     await this.api.devices.getDevices();
 
-    this.server = new MatterBridgeServer({
+    await this.startServer();
+
+    // Forward button presses from Flows, for buttons & remotes that only trigger Flows.
+    this.homey.flow.getActionCard('emit_button_event')
+      .registerRunListener(async ({ button, event }) => {
+        if (!this.server) {
+          throw new Error('Server Not Ready');
+        }
+
+        await this.server.emitDeviceEvent({
+          deviceId: button.deviceId,
+          eventId: button.suffix
+            ? `${event}.${button.suffix}`
+            : event,
+        });
+      })
+      .registerArgumentAutocompleteListener('button', async query => {
+        return this.getButtonAutocompleteResults(query);
+      });
+
+    // If this is the first time, create a Timeline notification to guide the user to the settings page.
+    const timelineNotificationWelcomeCreated = !(await this.homey.settings.get('timelineNotificationWelcomeCreated'));
+    if (timelineNotificationWelcomeCreated) {
+      await this.homey.notifications.createNotification({
+        excerpt: 'Welcome to Matter Bridge! Visit the app\'s settings to get started.',
+      });
+      await this.homey.settings.set('timelineNotificationWelcomeCreated', true);
+    }
+  }
+
+  async createServer() {
+    return new MatterBridgeServer({
       api: this.api,
       debug: (...props) => this.log(`[MatterBridgeServer]`, ...props),
       deviceName: await this.getSetting('deviceName', 'Homey Matter Bridge'),
@@ -50,22 +115,221 @@ export default class MatterBridgeApp extends Homey.App {
       productId: await this.getSetting('productId', 32768),
       uniqueId: await this.getSetting('uniqueId', crypto.randomUUID()),
       serialNumber: await this.getSetting('serialNumber', crypto.randomUUID()),
-      passcode: await this.getSetting('passcode', 20202021),
-      discriminator: await this.getSetting('discriminator', 3840),
+      passcode: await this.getPasscode(),
+      discriminator: await this.getSetting('discriminator', generateDiscriminator()),
       port: await this.getSetting('port', 5540),
       enabledDeviceIds: await this.getEnabledDeviceIds(),
+      deviceOverrides: await this.getDeviceOverrides(),
+      exposeRules: await this.getExposeRules(),
       storageServiceLocation: '/userdata',
     });
-    await this.server.start();
+  }
 
-    // If this is the first time, create a Timeline notification to guide the user to the settings page.
-    const timelineNotificationWelcomeCreated = !(await this.homey.settings.get('timelineNotificationWelcomeCreated'));
-    if (timelineNotificationWelcomeCreated) {
-      await this.homey.notifications.createNotification({
-        excerpt: 'Welcome to Matter Bridge! Visit the app\'s settings to get started.',
+  // When the server fails to start, e.g. because the port is in use, it's stopped again, so that a restart
+  // or factory reset can start a new one.
+  async startServer() {
+    const server = await this.createServer();
+
+    try {
+      await server.start();
+    } catch (err) {
+      this.log('Error starting Matter Bridge Server:', err);
+      await server.stop().catch(err => {
+        this.log('Error stopping Matter Bridge Server:', err);
       });
-      await this.homey.settings.set('timelineNotificationWelcomeCreated', true);
+      throw err;
     }
+
+    this.server = server;
+  }
+
+  // Erase the Matter storage and restart the server, ready to be commissioned again.
+  // Optionally, the bridge gets a new identity, so controllers see it as a new bridge.
+  // A new server is always started, also when erasing fails, or when the previous server failed to start.
+  async factoryReset({ regenerateIdentity = false } = {}) {
+    this.log('Factory Resetting Matter Bridge Server...');
+
+    const server = this.server ?? await this.createServer();
+    this.server = null;
+
+    try {
+      await server.erase();
+
+      if (regenerateIdentity) {
+        await this.homey.settings.unset('uniqueId');
+        await this.homey.settings.unset('serialNumber');
+        await this.homey.settings.unset('passcode');
+        await this.homey.settings.unset('discriminator');
+      }
+    } finally {
+      await this.startServer();
+    }
+  }
+
+  // Generate a new passcode & discriminator, and restart the server to use them.
+  // Existing fabrics keep working, only new controllers need the new pairing code.
+  async rotatePairingCode() {
+    this.log('Rotating Pairing Code...');
+
+    await this.homey.settings.set('passcode', generatePasscode());
+    await this.homey.settings.set('discriminator', generateDiscriminator());
+
+    await this.restartServer();
+  }
+
+  // A new server is always started, also when stopping fails, or when the previous server failed to start.
+  async restartServer() {
+    const server = this.server;
+    this.server = null;
+
+    try {
+      await server?.stop();
+    } finally {
+      await this.startServer();
+    }
+  }
+
+  async exportConfig() {
+    const settings = {};
+    for (const key of IDENTITY_SETTING_KEYS) {
+      settings[key] = await this.homey.settings.get(key);
+    }
+
+    return {
+      version: CONFIG_VERSION,
+      enabledDeviceIds: Array.from(await this.getEnabledDeviceIds()),
+      deviceOverrides: await this.getDeviceOverrides(),
+      exposeRules: await this.getExposeRules(),
+      settings,
+    };
+  }
+
+  // Apply an exported configuration. Devices that don't exist on this Homey are skipped and reported.
+  // When the identity changed, the server restarts. A different uniqueId means a new bridge, which must be paired again.
+  async importConfig(config) {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    if (config?.version !== CONFIG_VERSION) {
+      throw new Error(`Unsupported Configuration Version: ${config?.version}`);
+    }
+
+    if (!Array.isArray(config.enabledDeviceIds) || config.enabledDeviceIds.some(deviceId => typeof deviceId !== 'string')) {
+      throw new Error('Invalid Configuration: enabledDeviceIds must be an array of strings');
+    }
+
+    const settings = config.settings ?? {};
+    for (const [key, value] of Object.entries(settings)) {
+      if (!IDENTITY_SETTING_KEYS.includes(key)) {
+        throw new Error(`Invalid Configuration: Unknown setting ${key}`);
+      }
+
+      if (value === null || value === undefined) continue;
+
+      if (!IDENTITY_SETTING_VALIDATORS[key](value)) {
+        throw new Error(`Invalid Configuration: Invalid setting ${key}`);
+      }
+    }
+
+    // Configurations without overrides keep the current overrides
+    const importedDeviceOverrides = config.deviceOverrides ?? await this.getDeviceOverrides();
+    if (typeof importedDeviceOverrides !== 'object' || Array.isArray(importedDeviceOverrides)) {
+      throw new Error('Invalid Configuration: deviceOverrides must be an object');
+    }
+
+    for (const [deviceId, override] of Object.entries(importedDeviceOverrides)) {
+      try {
+        validateDeviceOverride(override);
+      } catch (err) {
+        throw new Error(`Invalid Configuration: Device ${deviceId}: ${err.message}`);
+      }
+    }
+
+    // Configurations without rules keep the current rules
+    const importedExposeRules = config.exposeRules ?? await this.getExposeRules();
+    if (!Array.isArray(importedExposeRules)) {
+      throw new Error('Invalid Configuration: exposeRules must be an array');
+    }
+
+    const exposeRules = importedExposeRules.map((rule, index) => {
+      try {
+        return validateExposeRule(rule);
+      } catch (err) {
+        throw new Error(`Invalid Configuration: Rule ${index}: ${err.message}`);
+      }
+    });
+
+    const devices = await this.api.devices.getDevices();
+    const missingDeviceIds = [...new Set([
+      ...config.enabledDeviceIds,
+      ...Object.keys(importedDeviceOverrides),
+    ])].filter(deviceId => !devices[deviceId]);
+    const enabledDeviceIds = config.enabledDeviceIds.filter(deviceId => devices[deviceId]);
+    const deviceOverrides = Object.fromEntries(Object.entries(importedDeviceOverrides)
+      .filter(([deviceId]) => devices[deviceId])
+      .map(([deviceId, override]) => [deviceId, validateDeviceOverride(override)])
+      .filter(([, override]) => override));
+
+    // Apply the identity settings
+    const changedSettingKeys = [];
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === null || value === undefined) continue;
+      if (await this.homey.settings.get(key) === value) continue;
+
+      await this.homey.settings.set(key, value);
+      changedSettingKeys.push(key);
+    }
+
+    // Apply the enabled devices & overrides
+    let previousEnabledDeviceIds;
+    await this.updateEnabledDeviceIds(currentEnabledDeviceIds => {
+      previousEnabledDeviceIds = new Set(currentEnabledDeviceIds);
+      currentEnabledDeviceIds.clear();
+      for (const deviceId of enabledDeviceIds) {
+        currentEnabledDeviceIds.add(deviceId);
+      }
+    });
+
+    const previousDeviceOverrides = await this.getDeviceOverrides();
+    await this.homey.settings.set('deviceOverrides', deviceOverrides);
+    await this.homey.settings.set('exposeRules', exposeRules);
+
+    if (changedSettingKeys.length > 0) {
+      await this.restartServer();
+    } else {
+      await this.server.disableDevices([...previousEnabledDeviceIds]
+        .filter(deviceId => !enabledDeviceIds.includes(deviceId)));
+
+      for (const deviceId of new Set([...Object.keys(previousDeviceOverrides), ...Object.keys(deviceOverrides)])) {
+        if (JSON.stringify(previousDeviceOverrides[deviceId]) === JSON.stringify(deviceOverrides[deviceId])) continue;
+        await this.server.setDeviceOverride(deviceId, deviceOverrides[deviceId]).catch(err => {
+          this.log(`Error overriding device ${deviceId}:`, err);
+        });
+      }
+
+      await this.server.enableDevices(enabledDeviceIds
+        .filter(deviceId => !previousEnabledDeviceIds.has(deviceId)));
+
+      await this.server.setExposeRules(exposeRules);
+    }
+
+    return {
+      enabledDeviceIds,
+      missingDeviceIds,
+      changedSettingKeys,
+    };
+  }
+
+  // Every install gets a random passcode. Installs that saved the previous default, the well-known
+  // 20202021, get a new one too. Paired controllers keep working, because the passcode is only used for pairing.
+  async getPasscode() {
+    const passcode = await this.getSetting('passcode', generatePasscode());
+    if (isValidPasscode(passcode) && passcode !== 20202021) return passcode;
+
+    const newPasscode = generatePasscode();
+    await this.homey.settings.set('passcode', newPasscode);
+    return newPasscode;
   }
 
   // We save the default setting value, because if we need to change it later,
@@ -83,6 +347,77 @@ export default class MatterBridgeApp extends Homey.App {
     return new Set(await this.homey.settings.get('enabledDeviceIds') || []);
   }
 
+  // Every change of the enabled devices is queued, so concurrent changes from the settings page aren't lost.
+  // The update function modifies the Set of enabled device IDs.
+  async updateEnabledDeviceIds(update) {
+    return this.__enabledDeviceIdsQueue.add(async () => {
+      const enabledDeviceIds = await this.getEnabledDeviceIds();
+      update(enabledDeviceIds);
+      await this.homey.settings.set('enabledDeviceIds', Array.from(enabledDeviceIds));
+    });
+  }
+
+  async getDeviceOverrides() {
+    return await this.homey.settings.get('deviceOverrides') || {};
+  }
+
+  async setDeviceOverride(deviceId, override) {
+    override = validateDeviceOverride(override);
+
+    const deviceOverrides = await this.getDeviceOverrides();
+    if (override) {
+      deviceOverrides[deviceId] = override;
+    } else {
+      delete deviceOverrides[deviceId];
+    }
+    await this.homey.settings.set('deviceOverrides', deviceOverrides);
+
+    await this.server?.setDeviceOverride(deviceId, override);
+  }
+
+  async getExposeRules() {
+    return await this.homey.settings.get('exposeRules') || [];
+  }
+
+  async setExposeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Invalid Rules: Must be an array');
+    }
+
+    rules = rules.map(rule => validateExposeRule(rule));
+    await this.homey.settings.set('exposeRules', rules);
+
+    await this.server?.setExposeRules(rules);
+  }
+
+  async getButtonAutocompleteResults(query = '') {
+    const devices = await this.api.devices.getDevices();
+
+    const result = [];
+    for (const device of Object.values(devices)) {
+      for (const eventId of this.server?.getDeviceEventIds(device.id) ?? []) {
+        const [baseEventId, ...suffix] = eventId.split('.');
+        if (baseEventId !== 'press') continue;
+
+        const title = suffix.length > 0
+          ? device.capabilitiesObj?.[`button.${suffix.join('.')}`]?.title ?? suffix.join('.')
+          : null;
+
+        result.push({
+          name: title
+            ? `${device.name} (${title})`
+            : device.name,
+          deviceId: device.id,
+          suffix: suffix.join('.') || null,
+        });
+      }
+    }
+
+    return result
+      .filter(({ name }) => name.toLowerCase().includes(query.toLowerCase()))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
   async onAPIGetState() {
     if (!this.server) {
       throw new Error('Server Not Ready');
@@ -91,21 +426,120 @@ export default class MatterBridgeApp extends Homey.App {
     return this.server.getState();
   }
 
+  async onAPIGetDiagnostics() {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    return {
+      app: {
+        version: this.homey.manifest.version,
+      },
+      homey: {
+        version: this.homey.version,
+      },
+      ...await this.server.getDiagnostics(),
+    };
+  }
+
+  async onAPIGetFabrics() {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    return this.server.getFabrics();
+  }
+
+  async onAPISetFabricLabel({ fabricIndex, label }) {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    await this.server.setFabricLabel({ fabricIndex, label });
+  }
+
+  async onAPIRemoveFabric({ fabricIndex }) {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    await this.server.removeFabric({ fabricIndex });
+  }
+
+  async onAPIOpenCommissioningWindow() {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    return this.server.openCommissioningWindow();
+  }
+
+  async onAPICloseCommissioningWindow() {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    await this.server.closeCommissioningWindow();
+  }
+
+  async onAPIFactoryReset({ regenerateIdentity }) {
+    await this.factoryReset({ regenerateIdentity: regenerateIdentity === true });
+  }
+
+  async onAPIRotatePairingCode() {
+    await this.rotatePairingCode();
+    return this.server.getState();
+  }
+
+  async onAPIExportConfig() {
+    return this.exportConfig();
+  }
+
+  async onAPIImportConfig({ config }) {
+    return this.importConfig(config);
+  }
+
+  async onAPIGetExposeRules() {
+    const zones = await this.api.zones.getZones();
+
+    return {
+      rules: await this.getExposeRules(),
+      zones: Object.values(zones).map(zone => ({
+        id: zone.id,
+        name: zone.name,
+        parent: zone.parent ?? null,
+      })),
+    };
+  }
+
+  async onAPISetExposeRules({ rules }) {
+    await this.setExposeRules(rules);
+  }
+
   async onAPIGetDevices() {
     const enabledDeviceIds = await this.getEnabledDeviceIds();
+    const deviceOverrides = await this.getDeviceOverrides();
     const devices = await this.api.devices.getDevices();
 
     const result = [];
     for (const device of Object.values(devices)) {
-      if (device.flags.includes('matter')) continue; // Skip Matter devices
-      if (device.driverId === 'homey:virtualdrivergroup:driver') continue; // Skip Grouped Devices
+      if (!isBridgeableDevice(device)) continue; // Skip Matter & Grouped Devices
 
       const deviceObj = {
         id: device.id,
         name: device.name,
+        class: device.virtualClass || device.class,
+        capabilities: Object.values(device.capabilitiesObj ?? {}).map(capability => ({
+          id: capability.id,
+          title: capability.title,
+          optIn: this.server?.mapperRegistry.isOptInCapability(capability.id) ?? false,
+        })),
         iconUrl: device.iconObj?.url,
         iconOverride: device.iconOverride,
         isSelected: enabledDeviceIds.has(device.id),
+        isExposed: this.server?.isDeviceExposed(device.id) ?? false,
+        override: deviceOverrides[device.id] ?? null,
+        support: this.server?.getDeviceSupport(device) ?? null,
       };
 
       // Add Zone Name
@@ -119,21 +553,110 @@ export default class MatterBridgeApp extends Homey.App {
   }
 
   async onAPIEnableDevice({ deviceId }) {
-    const enabledDeviceIds = await this.getEnabledDeviceIds();
-    if (!enabledDeviceIds.has(deviceId)) {
+    let isChanged = false;
+    await this.updateEnabledDeviceIds(enabledDeviceIds => {
+      isChanged = !enabledDeviceIds.has(deviceId);
       enabledDeviceIds.add(deviceId);
-      await this.homey.settings.set('enabledDeviceIds', Array.from(enabledDeviceIds));
+    });
+
+    if (isChanged) {
       this.server.enableDevice(deviceId).catch(err => {
         this.log(`Error enabling device ${deviceId}:`, err);
       });
     }
   }
 
+  // Enable many devices with a single settings write. Returns a result per device.
+  // Bridging many devices takes a while, so it continues after responding. Errors show up in the diagnostics.
+  async onAPIEnableDevices({ deviceIds }) {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    assertDeviceIds(deviceIds);
+
+    const devices = await this.api.devices.getDevices();
+    const results = [];
+    await this.updateEnabledDeviceIds(enabledDeviceIds => {
+      for (const deviceId of new Set(deviceIds)) {
+        if (enabledDeviceIds.has(deviceId)) {
+          results.push({ deviceId, status: 'unchanged', error: null });
+        } else if (!devices[deviceId]) {
+          results.push({ deviceId, status: 'notFound', error: `Device with ID ${deviceId} not found` });
+        } else {
+          enabledDeviceIds.add(deviceId);
+          results.push({ deviceId, status: 'enabled', error: null });
+        }
+      }
+    });
+
+    this.server.enableDevices(results
+      .filter(({ status }) => status === 'enabled')
+      .map(({ deviceId }) => deviceId))
+      .then(results => {
+        for (const { deviceId, error } of results) {
+          if (error) this.log(`Error enabling device ${deviceId}:`, error);
+        }
+      })
+      .catch(err => {
+        this.log('Error enabling devices:', err);
+      });
+
+    return results;
+  }
+
+  // Disable many devices with a single settings write. Returns a result per device.
+  // Like enabling, unbridging continues after responding.
+  async onAPIDisableDevices({ deviceIds }) {
+    if (!this.server) {
+      throw new Error('Server Not Ready');
+    }
+
+    assertDeviceIds(deviceIds);
+
+    const results = [];
+    await this.updateEnabledDeviceIds(enabledDeviceIds => {
+      for (const deviceId of new Set(deviceIds)) {
+        results.push({
+          deviceId,
+          status: enabledDeviceIds.delete(deviceId) ? 'disabled' : 'unchanged',
+          error: null,
+        });
+      }
+    });
+
+    this.server.disableDevices(results
+      .filter(({ status }) => status === 'disabled')
+      .map(({ deviceId }) => deviceId))
+      .then(results => {
+        for (const { deviceId, error } of results) {
+          if (error) this.log(`Error disabling device ${deviceId}:`, error);
+        }
+      })
+      .catch(err => {
+        this.log('Error disabling devices:', err);
+      });
+
+    return results;
+  }
+
+  async onAPISetDeviceOverride({ deviceId, override }) {
+    await this.setDeviceOverride(deviceId, override);
+
+    // The override changes how the device is mapped
+    const device = await this.api.devices.getDevice({ id: deviceId });
+    return {
+      support: this.server?.getDeviceSupport(device) ?? null,
+    };
+  }
+
   async onAPIDisableDevice({ deviceId }) {
-    const enabledDeviceIds = await this.getEnabledDeviceIds();
-    if (enabledDeviceIds.has(deviceId)) {
-      enabledDeviceIds.delete(deviceId);
-      await this.homey.settings.set('enabledDeviceIds', Array.from(enabledDeviceIds));
+    let isChanged = false;
+    await this.updateEnabledDeviceIds(enabledDeviceIds => {
+      isChanged = enabledDeviceIds.delete(deviceId);
+    });
+
+    if (isChanged) {
       this.server.disableDevice(deviceId).catch(err => {
         this.log(`Error disabling device ${deviceId}:`, err);
       });
@@ -141,3 +664,13 @@ export default class MatterBridgeApp extends Homey.App {
   }
 
 }
+
+function assertDeviceIds(deviceIds) {
+  if (!Array.isArray(deviceIds) || deviceIds.some(deviceId => typeof deviceId !== 'string')) {
+    throw new Error('Invalid Device IDs: Must be an array of strings');
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
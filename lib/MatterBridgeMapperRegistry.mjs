@@ -0,0 +1,303 @@
+import {
+  FixedLabelServer,
+} from '@matter/main/behaviors';
+
+import { ellipseString, mergeState } from './MatterBridgeUtil.mjs';
+
+// A Mapper describes how (part of) a Homey device is exposed to Matter:
+//
+// {
+//   id: 'light',
+//   classes: ['light'], // Optional. Matches device.virtualClass || device.class. Omit to match any class.
+//   capabilities: ['onoff', 'dim'], // The device must have at least one of these capabilities. Listed sub-capabilities (e.g. target_temperature.cool) are not mapped as a channel.
+//                                   // A channel must have the first one, when the Mapper has classes.
+//   fallback: false, // Optional. When true, only used when no Mapper for the device's class matches the device.
+//   optIn: false, // Optional. When true, only used when the device override lists one of the capabilities.
+//   bridgedNode: false, // Optional. When true, the behaviors are added to the Bridged Node endpoint itself, instead of a child endpoint.
+//   match: ({ device, deviceClass, channel }) => true, // Optional. Additional check. channel is true for a channel's view of the device.
+//   getEndpoints: ({ device, deviceClass, override }) => [{
+//     id: 'main', // Unique within the bridged device.
+//     deviceType: OnOffLightDevice,
+//     behaviors: [HomeyOnOffServer], // Optional.
+//     state: { ... }, // Optional. Initial state.
+//     capabilities: { // Optional. Homey → Matter converters, merged over the initial state and applied on every change.
+//       onoff: value => ({ onOff: { onOff: value ?? false } }),
+//     },
+//     events: { // Optional. Homey → Matter events, e.g. button presses, emitted by MatterBridgeServer.emitDeviceEvent().
+//       press: async (endpoint, data) => { ... }, // A capability with the same ID emits the event on every report.
+//     },
+//     onInit: async endpoint => { ... }, // Optional. Called after the endpoint has been added.
+//   }],
+// }
+//
+// Matter → Homey conversions are implemented by the Mapper's behaviors, which call device.setCapabilityValue().
+//
+// Sub-capabilities (e.g. onoff.output1 & measure_power.output1) are grouped per channel (output1). Each channel is
+// mapped as if it were a device with only the base capabilities (onoff & measure_power), to its own endpoints.
+// Channels that the device class' Mappers don't map, e.g. measure_temperature.outside of a thermostat, are mapped as a sensor.
+//
+// A device override ({ class, capabilities }) maps the device as if it had that class, and only those capabilities.
+// Other properties of the override, e.g. a light's colorTemperature range, are up to the Mappers.
+export default class MatterBridgeMapperRegistry {
+
+  constructor({
+    mappers = [],
+  } = {}) {
+    this.mappers = [];
+
+    for (const mapper of mappers) {
+      this.register(mapper);
+    }
+  }
+
+  register(mapper) {
+    if (typeof mapper?.id !== 'string') {
+      throw new Error('Invalid Mapper: Missing ID');
+    }
+
+    if (typeof mapper.getEndpoints !== 'function') {
+      throw new Error(`Invalid Mapper ${mapper.id}: Missing getEndpoints()`);
+    }
+
+    if (this.mappers.find(({ id }) => id === mapper.id)) {
+      throw new Error(`Mapper ${mapper.id} is already registered`);
+    }
+
+    this.mappers.push(mapper);
+  }
+
+  unregister(mapperId) {
+    this.mappers = this.mappers.filter(({ id }) => id !== mapperId);
+  }
+
+  getMappers(device, {
+    bridgedNode = false,
+    override = null,
+    channel = false,
+  } = {}) {
+    const deviceClass = device.virtualClass || device.class;
+
+    const mappers = this.mappers.filter(mapper => {
+      if ((mapper.bridgedNode === true) !== bridgedNode) return false;
+      if (mapper.optIn === true && !mapper.capabilities?.some(capabilityId => isOptedIn(capabilityId, override))) return false;
+      if (Array.isArray(mapper.classes) && !mapper.classes.includes(deviceClass)) return false;
+      if (Array.isArray(mapper.capabilities) && !mapper.capabilities.some(capabilityId => device.capabilitiesObj?.[capabilityId])) return false;
+      if (channel && Array.isArray(mapper.classes) && Array.isArray(mapper.capabilities) && !device.capabilitiesObj?.[mapper.capabilities[0]]) return false;
+      if (typeof mapper.match === 'function' && !mapper.match({ device, deviceClass, channel })) return false;
+      return true;
+    });
+
+    // Mappers without classes, e.g. for energy measurements, add to the device and don't replace the fallback.
+    const hasClassMapper = mappers.some(mapper => mapper.fallback !== true && Array.isArray(mapper.classes));
+    if (hasClassMapper) return mappers.filter(mapper => mapper.fallback !== true);
+
+    return mappers;
+  }
+
+  // Whether a capability is only mapped when the device override lists it.
+  isOptInCapability(capabilityId) {
+    const [baseCapabilityId] = capabilityId.split('.');
+    return this.mappers.some(mapper => mapper.optIn === true && mapper.capabilities?.includes(baseCapabilityId));
+  }
+
+  // The device classes that Mappers can be forced to, with a device override.
+  getClasses() {
+    return [...new Set(this.mappers.flatMap(mapper => mapper.classes ?? []))];
+  }
+
+  getEndpoints(device, {
+    bridgedNode = false,
+    override = null,
+  } = {}) {
+    if (override) {
+      device = makeOverrideDevice(device, override);
+    }
+
+    const mappers = this.getMappers(device, { bridgedNode, override });
+    const result = this.__getEndpoints(device, mappers, override);
+
+    if (bridgedNode) return result;
+
+    // Map every channel of sub-capabilities to their own endpoints
+    const claimedCapabilityIds = new Set(mappers.flatMap(mapper => mapper.capabilities ?? []));
+    for (const [channelId, capabilityIds] of Object.entries(getChannels(device, claimedCapabilityIds))) {
+      let channelDevice = makeChannelDevice(device, capabilityIds);
+      let channelMappers = this.getMappers(channelDevice, { override, channel: true });
+
+      if (!channelMappers.some(mapper => Array.isArray(mapper.classes))) {
+        channelDevice = makeChannelDevice(device, capabilityIds, { deviceClass: 'sensor' });
+        channelMappers = this.getMappers(channelDevice, { override, channel: true });
+      }
+
+      const channelEndpoints = this.__getEndpoints(channelDevice, channelMappers, override);
+
+      for (const { mapper, endpoint } of channelEndpoints) {
+        result.push({
+          mapper,
+          endpoint: makeChannelEndpoint(device, endpoint, channelId, capabilityIds),
+        });
+      }
+    }
+
+    const endpointIds = new Set();
+    for (const { mapper, endpoint } of result) {
+      if (endpointIds.has(endpoint.id)) {
+        throw new Error(`Mapper ${mapper.id} created a duplicate endpoint ${endpoint.id}`);
+      }
+      endpointIds.add(endpoint.id);
+    }
+
+    return result;
+  }
+
+  __getEndpoints(device, mappers, override = null) {
+    const deviceClass = device.virtualClass || device.class;
+
+    const result = [];
+    for (const mapper of mappers) {
+      const endpoints = mapper.getEndpoints({ device, deviceClass, override }) ?? [];
+
+      for (const endpoint of endpoints) {
+        result.push({ mapper, endpoint });
+      }
+    }
+
+    return result;
+  }
+
+}
+
+// Sub-capabilities, e.g. alarm_tamper.sensor1, opt in to the Mapper of their base capability.
+function isOptedIn(capabilityId, override) {
+  return !!override?.capabilities?.some(overrideCapabilityId => overrideCapabilityId.split('.')[0] === capabilityId);
+}
+
+// Group the sub-capabilities by their suffix, e.g. { output1: { onoff: 'onoff.output1' } }.
+function getChannels(device, claimedCapabilityIds) {
+  const channels = {};
+
+  for (const capabilityId of Object.keys(device.capabilitiesObj ?? {})) {
+    if (!capabilityId.includes('.')) continue;
+    if (claimedCapabilityIds.has(capabilityId)) continue;
+
+    const [baseCapabilityId, ...suffix] = capabilityId.split('.');
+    const channelId = suffix.join('-'); // Endpoint IDs may not include a dot
+
+    channels[channelId] = channels[channelId] || {};
+    channels[channelId][baseCapabilityId] = capabilityId;
+  }
+
+  return channels;
+}
+
+// Make a view of the device, with the overridden class and only the allowed capabilities.
+function makeOverrideDevice(device, {
+  class: deviceClass = null,
+  capabilities = null,
+}) {
+  const isAllowed = capabilityId => !Array.isArray(capabilities) || capabilities.includes(capabilityId);
+
+  return new Proxy(device, {
+    get(target, property) {
+      switch (property) {
+        case 'class':
+        case 'virtualClass': {
+          return deviceClass ?? target[property];
+        }
+        case 'capabilities': {
+          return (target.capabilities ?? []).filter(isAllowed);
+        }
+        case 'capabilitiesObj': {
+          return Object.fromEntries(Object.entries(target.capabilitiesObj ?? {})
+            .filter(([capabilityId]) => isAllowed(capabilityId)));
+        }
+      }
+
+      const value = Reflect.get(target, property);
+      return typeof value === 'function'
+        ? value.bind(target)
+        : value;
+    },
+  });
+}
+
+// Make a view of the device, which only has the channel's capabilities, under their base capability ID.
+function makeChannelDevice(device, capabilityIds, {
+  deviceClass = null,
+} = {}) {
+  const getCapabilityId = capabilityId => {
+    if (!capabilityIds[capabilityId]) {
+      throw new Error(`Unknown Capability: ${capabilityId}`);
+    }
+
+    return capabilityIds[capabilityId];
+  };
+
+  return new Proxy(device, {
+    get(target, property) {
+      switch (property) {
+        case 'class':
+        case 'virtualClass': {
+          return deviceClass ?? target[property];
+        }
+        case 'capabilities': {
+          return Object.keys(capabilityIds);
+        }
+        case 'capabilitiesObj': {
+          return Object.fromEntries(Object.entries(capabilityIds)
+            .map(([baseCapabilityId, capabilityId]) => [baseCapabilityId, target.capabilitiesObj?.[capabilityId]]));
+        }
+        case 'setCapabilityValue': {
+          return async ({ capabilityId, ...props }) => target.setCapabilityValue({
+            capabilityId: getCapabilityId(capabilityId),
+            ...props,
+          });
+        }
+        case 'makeCapabilityInstance': {
+          return (capabilityId, ...props) => target.makeCapabilityInstance(getCapabilityId(capabilityId), ...props);
+        }
+      }
+
+      const value = Reflect.get(target, property);
+      return typeof value === 'function'
+        ? value.bind(target)
+        : value;
+    },
+  });
+}
+
+// Rename the channel's endpoint, converters and events to the sub-capabilities, and label it with the capability's title.
+// Converters and events of capabilities that the channel doesn't have are dropped, so the channel doesn't mirror the device.
+// Events that aren't capabilities, e.g. a Flow's press, are emitted per channel.
+function makeChannelEndpoint(device, endpoint, channelId, capabilityIds) {
+  const suffix = Object.values(capabilityIds)[0].split('.').slice(1).join('.');
+  const title = Object.values(capabilityIds)
+    .map(capabilityId => device.capabilitiesObj?.[capabilityId]?.title)
+    .find(title => typeof title === 'string');
+
+  return {
+    ...endpoint,
+    id: `${endpoint.id}-${channelId}`,
+    behaviors: [...endpoint.behaviors ?? [], FixedLabelServer],
+    state: mergeState({}, endpoint.state, {
+      fixedLabel: {
+        labelList: [{
+          label: 'name',
+          value: ellipseString(title ?? channelId, 16),
+        }],
+      },
+    }),
+    capabilities: Object.fromEntries(Object.entries(endpoint.capabilities ?? {})
+      .filter(([capabilityId]) => capabilityIds[capabilityId])
+      .map(([capabilityId, toMatter]) => [capabilityIds[capabilityId], toMatter])),
+    events: Object.fromEntries(Object.entries(endpoint.events ?? {})
+      .filter(([eventId]) => capabilityIds[eventId] || !isCapability(device, eventId))
+      .map(([eventId, onEvent]) => [capabilityIds[eventId] ?? `${eventId}.${suffix}`, onEvent])),
+  };
+}
+
+// Whether the event ID is a capability of the device, or one of its sub-capabilities.
+function isCapability(device, eventId) {
+  return Object.keys(device.capabilitiesObj ?? {})
+    .some(capabilityId => capabilityId.split('.')[0] === eventId);
+}
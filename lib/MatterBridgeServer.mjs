@@ -1,59 +1,51 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
 import PQueue from 'p-queue';
 import { Endpoint, Environment, StorageService, ServerNode, VendorId } from '@matter/main';
 import { BridgedNodeEndpoint } from '@matter/main/endpoints/bridged-node';
-
 import {
-  ElectricalPowerMeasurement,
-  ConcentrationMeasurement,
-  Thermostat,
-  ColorControl,
-  SmokeCoAlarm,
-  OccupancySensing,
-  WindowCovering,
-  DoorLock,
-} from '@matter/main/clusters';
+  DeviceCommissioner,
+  FabricManager,
+  PaseServer,
+  SessionManager,
+} from '@matter/main/protocol';
+import {
+  CommissioningFlowType,
+  DiscoveryCapabilitiesSchema,
+  ManualPairingCodeCodec,
+  QrPairingCodeCodec,
+} from '@matter/main/types';
+
 import {
   AggregatorEndpoint,
 } from '@matter/main/endpoints';
 import {
-  OnOffPlugInUnitDevice,
-  OnOffLightDevice,
-  DimmableLightDevice,
-  ColorTemperatureLightDevice,
-  ExtendedColorLightDevice,
-  TemperatureSensorDevice,
-  HumiditySensorDevice,
-  ThermostatDevice,
-  RoomAirConditionerDevice,
-  SmokeCoAlarmDevice,
-  AirQualitySensorDevice,
-  OccupancySensorDevice,
-  ContactSensorDevice,
-  WindowCoveringDevice,
-  DoorLockDevice,
-  LightSensorDevice,
-} from '@matter/main/devices';
-import {
-  OnOffServer,
-  LevelControlServer,
-  ColorControlServer,
-  TemperatureMeasurementServer,
-  RelativeHumidityMeasurementServer,
-  CarbonMonoxideConcentrationMeasurementServer,
-  CarbonDioxideConcentrationMeasurementServer,
-  Pm10ConcentrationMeasurementServer,
-  Pm25ConcentrationMeasurementServer,
-  SmokeCoAlarmServer,
-  ElectricalPowerMeasurementServer,
-  ThermostatServer,
-  BooleanStateServer,
-  WindowCoveringServer,
-  DoorLockServer,
-  OccupancySensingServer,
+  FixedLabelServer,
 } from '@matter/main/behaviors';
+
+import MatterBridgeMapperRegistry from './MatterBridgeMapperRegistry.mjs';
 import {
-  MeasurementType,
-} from '@matter/main/types';
+  ellipseString,
+  mergeState,
+  generatePasscode,
+  generateDiscriminator,
+  validateDeviceOverride,
+  validateExposeRule,
+  matchesExposeRule,
+  isBridgeableDevice,
+} from './MatterBridgeUtil.mjs';
+import defaultMappers from './mappers/index.mjs';
+
+// Vendors of common Matter controllers, to recognise their fabrics.
+const VENDOR_NAMES = {
+  0x1349: 'Apple',
+  0x6006: 'Google',
+  0x1217: 'Amazon',
+  0x110A: 'Samsung SmartThings',
+  0x134B: 'Home Assistant',
+};
 
 export default class MatterBridgeServer {
 
@@ -72,6 +64,9 @@ export default class MatterBridgeServer {
     port = 5540,
     storageServiceLocation = '~/.matter-bridge/',
     enabledDeviceIds = new Set(),
+    deviceOverrides = {},
+    exposeRules = [],
+    mappers = defaultMappers,
   }) {
     this.api = api;
     this.debug = debug;
@@ -90,6 +85,11 @@ export default class MatterBridgeServer {
     this.port = port;
 
     this.enabledDeviceIds = enabledDeviceIds;
+    this.deviceOverrides = deviceOverrides;
+    this.exposeRules = exposeRules.map(rule => validateExposeRule(rule));
+    this.exposedDeviceIds = new Set(); // Devices that match an expose rule
+
+    this.mapperRegistry = new MatterBridgeMapperRegistry({ mappers });
 
     this.serverNode = null;
     this.aggregatorEndpoint = null;
@@ -98,12 +98,35 @@ export default class MatterBridgeServer {
     };
     this.deviceCapabilityInstances = {
       // [deviceId]: {
-      //   [capabilityId]: CapabilityInstance
+      //   [endpointId]: {
+      //     [capabilityId]: CapabilityInstance
+      //   }
       // }
     };
     this.deviceEndpointInstances = {
       // [deviceId]: Set()
     };
+    this.deviceSignatures = {
+      // [deviceId]: String
+    };
+    this.deviceBridgedNodeSignatures = {
+      // [deviceId]: String
+    };
+    this.deviceEndpointErrors = {
+      // [deviceId]: {
+      //   [endpointId]: String
+      // }
+    };
+    this.deviceCapabilityErrors = {
+      // [deviceId]: { endpointId, capabilityId, message, date }
+    };
+    this.commissioningWindow = null;
+    this.__apiListeners = [];
+    this.deviceEventListeners = {
+      // [deviceId]: {
+      //   [eventId]: [Function]
+      // }
+    };
 
     // Set storage location
     this.environment = Environment.default;
@@ -117,7 +140,136 @@ export default class MatterBridgeServer {
       commissioned: this.serverNode?.lifecycle?.isCommissioned ?? null,
       qrPairingCode: this.serverNode?.state?.commissioning?.pairingCodes?.qrPairingCode ?? null,
       manualPairingCode: this.serverNode?.state?.commissioning?.pairingCodes?.manualPairingCode ?? null,
+      passcode: this.serverNode?.state?.commissioning?.passcode ?? null,
+      discriminator: this.serverNode?.state?.commissioning?.discriminator ?? null,
+      deviceClasses: this.getDeviceClasses(),
+      commissioningWindow: this.commissioningWindow
+        ? {
+          qrPairingCode: this.commissioningWindow.qrPairingCode,
+          manualPairingCode: this.commissioningWindow.manualPairingCode,
+          expiresAt: this.commissioningWindow.expiresAt,
+        }
+        : null,
+    };
+  }
+
+  async getFabrics() {
+    const fabricManager = this.__getFabricManager();
+
+    return fabricManager.fabrics.map(fabric => ({
+      fabricIndex: fabric.fabricIndex,
+      vendorId: fabric.rootVendorId,
+      vendorName: VENDOR_NAMES[fabric.rootVendorId] ?? null,
+      label: fabric.label,
+    }));
+  }
+
+  async setFabricLabel({ fabricIndex, label }) {
+    const fabricManager = this.__getFabricManager();
+
+    if (typeof label !== 'string' || label.length > 32) {
+      throw new Error('Invalid Label: Must be a string of at most 32 characters');
+    }
+
+    const fabric = fabricManager.findByIndex(fabricIndex);
+    if (!fabric) {
+      throw new Error(`Fabric ${fabricIndex} not found`);
+    }
+
+    // Labels must be unique, per the Matter specification
+    if (label !== '' && fabricManager.fabrics.some(f => f.label === label && f.fabricIndex !== fabric.fabricIndex)) {
+      throw new Error(`Label ${label} is already used by another fabric`);
+    }
+
+    await fabric.setLabel(label);
+    this.debug(`Fabric ${fabricIndex} labeled ${label}`);
+  }
+
+  async removeFabric({ fabricIndex }) {
+    const fabricManager = this.__getFabricManager();
+
+    const fabric = fabricManager.findByIndex(fabricIndex);
+    if (!fabric) {
+      throw new Error(`Fabric ${fabricIndex} not found`);
+    }
+
+    await fabric.remove();
+    this.debug(`Fabric ${fabricIndex} removed`);
+  }
+
+  // Open an Enhanced Commissioning Window with a newly generated code, to pair an additional Matter controller.
+  async openCommissioningWindow({ timeout = 900 } = {}) {
+    if (!this.serverNode?.lifecycle?.isOnline) {
+      throw new Error('Server Not Started');
+    }
+
+    if (!this.serverNode.lifecycle.isCommissioned) {
+      throw new Error('Not Commissioned: Use the default pairing code instead');
+    }
+
+    if (this.commissioningWindow) {
+      throw new Error('Commissioning Window Already Open');
+    }
+
+    if (timeout < 180 || timeout > 900) {
+      throw new Error('Invalid Timeout: Must be between 180 and 900 seconds');
+    }
+
+    const passcode = generatePasscode();
+    const discriminator = generateDiscriminator();
+
+    const paseServer = await PaseServer.fromPin(this.serverNode.env.get(SessionManager), passcode, {
+      iterations: 1000,
+      salt: crypto.randomBytes(32),
+    });
+
+    const deviceCommissioner = this.serverNode.env.get(DeviceCommissioner);
+    await deviceCommissioner.allowEnhancedCommissioning(discriminator, paseServer, () => {
+      if (!this.commissioningWindow) return;
+
+      clearTimeout(this.commissioningWindow.timeout);
+      this.commissioningWindow = null;
+      this.debug('Commissioning Window closed');
+    });
+
+    this.commissioningWindow = {
+      qrPairingCode: QrPairingCodeCodec.encode([{
+        version: 0,
+        vendorId: this.vendorId,
+        productId: this.productId,
+        flowType: CommissioningFlowType.Standard,
+        discriminator,
+        passcode,
+        discoveryCapabilities: DiscoveryCapabilitiesSchema.encode({ onIpNetwork: true }),
+      }]),
+      manualPairingCode: ManualPairingCodeCodec.encode({
+        discriminator,
+        passcode,
+      }),
+      expiresAt: new Date(Date.now() + timeout * 1000).toISOString(),
+      timeout: setTimeout(() => {
+        deviceCommissioner.endCommissioning()
+          .catch(err => this.debug(`Error closing Commissioning Window: ${err.message}`));
+      }, timeout * 1000),
     };
+
+    this.debug(`Commissioning Window opened for ${timeout}s`);
+
+    return this.getState();
+  }
+
+  async closeCommissioningWindow() {
+    if (!this.commissioningWindow) return;
+
+    await this.serverNode.env.get(DeviceCommissioner).endCommissioning();
+  }
+
+  __getFabricManager() {
+    if (!this.serverNode?.lifecycle?.isOnline) {
+      throw new Error('Server Not Started');
+    }
+
+    return this.serverNode.env.get(FabricManager);
   }
 
   async start() {
@@ -157,6 +309,10 @@ export default class MatterBridgeServer {
     });
     await this.serverNode.add(this.aggregatorEndpoint);
 
+    // Get all Homey Zones
+    await this.api.zones.connect();
+    await this.api.zones.getZones();
+
     // Get all Homey Drivers
     await this.api.drivers.connect();
     await this.api.drivers.getDrivers();
@@ -166,9 +322,16 @@ export default class MatterBridgeServer {
     await this.api.devices.getDevices();
     const devices = await this.api.devices.getDevices();
 
+    // Find the Devices that match an expose rule
+    const zones = await this.api.zones.getZones();
+    for (const device of Object.values(devices)) {
+      if (!this.__matchesExposeRules(device, zones)) continue;
+      this.exposedDeviceIds.add(device.id);
+    }
+
     // Initialize all Devices
     for (const device of Object.values(devices)) {
-      if (!this.enabledDeviceIds.has(device.id)) continue;
+      if (!this.isDeviceBridged(device.id)) continue;
       await this.__initEndpoint(device).catch(err => this.debug(`Error initializing endpoint for device ${device.id} during startup: ${err.message}`));
 
       if (device.ready === true) {
@@ -177,21 +340,83 @@ export default class MatterBridgeServer {
     }
 
     // Subscribe to Device events
-    this.api.devices.on('device.delete', device => {
+    this.__addApiListener(this.api.devices, 'device.create', device => {
+      if (this.exposeRules.length > 0) {
+        this.__updateExposedDevices([device.id])
+          .catch(err => this.debug(`Error applying expose rules to device ${device.id} on create: ${err.message}`));
+      }
+
+      // A device that was enabled before it existed, e.g. deleted and paired again with the same ID
       if (!this.enabledDeviceIds.has(device.id)) return;
+      if (this.deviceEndpoints[device.id]) return;
+
+      this.debug(`Enabled device ${device.name} (${device.id}) was created`);
+      Promise.resolve().then(async () => {
+        await this.__initEndpoint(device);
+
+        if (device.ready === true) {
+          await this.__initDevice(device);
+        }
+      }).catch(err => this.debug(`Error initializing device ${device.id} on create: ${err.message}`));
+    });
+    this.__addApiListener(this.api.devices, 'device.delete', device => {
+      this.exposedDeviceIds.delete(device.id);
+
       if (!this.deviceEndpoints[device.id]) return;
 
       Promise.resolve().then(async () => {
         await this.__uninitEndpoint(device);
       }).catch(err => this.debug(`Error uninitializing device ${device.id} on delete: ${err.message}`));
-    })
-    this.api.devices.on('device.update', (device, { changedKeys }) => {
-      if (!this.enabledDeviceIds.has(device.id)) return;
+    });
+    this.__addApiListener(this.api.devices, 'device.update', (device, { changedKeys }) => {
+      if (this.exposeRules.length > 0 && ['zone', 'class', 'virtualClass', 'capabilities'].some(key => changedKeys.includes(key))) {
+        this.__updateExposedDevices([device.id])
+          .catch(err => this.debug(`Error applying expose rules to device ${device.id} on update: ${err.message}`));
+      }
+
+      if (!this.isDeviceBridged(device.id)) return;
 
       if (changedKeys.includes('ready') && device.ready === true && !this.deviceEndpointInstances[device.id]) {
         this.debug(`Device ${device.name} (${device.id}) became ready`);
         this.__initDevice(device).catch(err => this.debug(`Error initializing device ${device.id} on ready: ${err.message}`));
       }
+
+      if (['available', 'name', 'zone'].some(key => changedKeys.includes(key)) && this.deviceEndpoints[device.id]) {
+        this.__updateEndpoint(device).catch(err => this.debug(`Error updating endpoint for device ${device.id} on update: ${err.message}`));
+      }
+
+      if (['capabilities', 'capabilitiesObj', 'class', 'virtualClass'].some(key => changedKeys.includes(key))
+        && this.deviceSignatures[device.id]
+        && this.deviceSignatures[device.id] !== getDeviceSignature(device)) {
+        this.debug(`Device ${device.name} (${device.id}) changed capabilities, rebuilding endpoints`);
+
+        // The Bridged Node is kept, so controllers keep the device's room & automations
+        Promise.resolve().then(async () => {
+          await this.__uninitDevice(device);
+          await this.__initDevice(device);
+        }).catch(err => this.debug(`Error rebuilding device ${device.id} on update: ${err.message}`));
+      }
+    });
+
+    // Subscribe to Zone events
+    this.__addApiListener(this.api.zones, 'zone.update', (zone, { changedKeys } = {}) => {
+      // A moved zone changes which devices are in the sub-zones of a rule's zone
+      if (this.exposeRules.length > 0 && (!changedKeys || changedKeys.includes('parent'))) {
+        this.__updateExposedDevices()
+          .catch(err => this.debug(`Error applying expose rules on zone ${zone.id} update: ${err.message}`));
+      }
+
+      if (changedKeys && !changedKeys.includes('name')) return;
+
+      Promise.resolve().then(async () => {
+        const devices = await this.api.devices.getDevices();
+        for (const device of Object.values(devices)) {
+          if (device.zone !== zone.id) continue;
+          if (!this.deviceEndpoints[device.id]) continue;
+
+          await this.__updateEndpoint(device);
+        }
+      }).catch(err => this.debug(`Error updating endpoints on zone ${zone.id} update: ${err.message}`));
     });
 
     // Finally, start the server
@@ -199,6 +424,46 @@ export default class MatterBridgeServer {
     this.debug('Matter Bridge Server has started.');
   }
 
+  // Stop the server, and stop listening to Homey. A stopped server cannot be started again.
+  async stop() {
+    if (!this.serverNode) return;
+
+    this.__queue.clear();
+    this.__queue.start();
+    await this.__queue.onIdle();
+
+    for (const [manager, event, listener] of this.__apiListeners) {
+      manager.off(event, listener);
+    }
+    this.__apiListeners = [];
+
+    for (const deviceId of Object.keys(this.deviceCapabilityInstances)) {
+      this.__unlinkDevice({ id: deviceId });
+    }
+    this.deviceEventListeners = {};
+
+    if (this.commissioningWindow) {
+      clearTimeout(this.commissioningWindow.timeout);
+      this.commissioningWindow = null;
+    }
+
+    await this.serverNode.close();
+    this.debug('Matter Bridge Server has stopped.');
+  }
+
+  // Stop the server, and erase its fabrics and storage. Create a new server to commission the bridge again.
+  // The storage is removed after closing, because ServerNode.erase() fails with the bridged endpoints attached.
+  // A server that was never started can also be erased, e.g. when its storage prevents it from starting.
+  async erase() {
+    await this.stop();
+
+    await fs.promises.rm(path.join(this.storageService.location, this.uniqueId), {
+      recursive: true,
+      force: true,
+    });
+    this.debug('Matter Bridge Server has been erased.');
+  }
+
   async enableDevice(deviceId) {
     if (this.enabledDeviceIds.has(deviceId)) return;
 
@@ -207,7 +472,10 @@ export default class MatterBridgeServer {
       throw new Error(`Device with ID ${deviceId} not found`);
     }
 
+    const isBridged = this.isDeviceBridged(deviceId);
     this.enabledDeviceIds.add(deviceId);
+    if (isBridged) return;
+
     await this.__initEndpoint(device);
 
     if (device.ready === true) {
@@ -224,1066 +492,607 @@ export default class MatterBridgeServer {
     }
 
     this.enabledDeviceIds.delete(deviceId);
+    if (this.isDeviceBridged(deviceId)) return;
+
     await this.__uninitEndpoint(device).catch(err => this.debug(`Error uninitializing endpoint for device ${device.id} on disable: ${err.message}`));
   }
 
-  async __initEndpoint(device) {
-    return this.__queue.add(async () => {
-      this.debug(`Initializing Endpoint for ${device.name} (${device.id})`);
+  // Enable many devices at once. Their endpoints are scheduled on the queue together, and a result is reported per device.
+  // A device whose endpoint failed is still enabled, and is retried when the server starts.
+  async enableDevices(deviceIds) {
+    const devices = await this.api.devices.getDevices();
 
-      // Get the device's driver
-      const driver = await device.getDriver();
+    return Promise.all([...new Set(deviceIds)].map(async deviceId => {
+      if (this.enabledDeviceIds.has(deviceId)) {
+        return { deviceId, status: 'unchanged', error: null };
+      }
 
-      // Create a Matter Endpoint
-      this.deviceEndpoints[device.id] = new Endpoint(BridgedNodeEndpoint, {
-        id: device.id,
-        bridgedDeviceBasicInformation: {
-          nodeLabel: ellipseString(device.name),
-          vendorName: ellipseString(driver?.ownerName ?? 'Unknown'),
-          productName: ellipseString(driver?.name ?? 'Unknown'),
-          serialNumber: ellipseString(device.id.replaceAll('-', '')), // Max length is 32, so if we remove the dashes from the UUIDv4, it fits!
-        },
-      });
-      await this.aggregatorEndpoint.add(this.deviceEndpoints[device.id]);
-    });
-  }
+      const device = devices[deviceId];
+      if (!device) {
+        return { deviceId, status: 'notFound', error: `Device with ID ${deviceId} not found` };
+      }
 
-  async __initDevice(device) {
-    return this.__queue.add(async () => {
-      this.debug(`Initializing Device for ${device.name} (${device.id})`);
+      const isBridged = this.isDeviceBridged(deviceId);
+      this.enabledDeviceIds.add(deviceId);
+      if (isBridged) {
+        return { deviceId, status: 'enabled', error: null };
+      }
 
-      const deviceEndpoint = this.deviceEndpoints[device.id];
-      if (!deviceEndpoint) {
-        throw new Error(`Device Endpoint for device ${device.id} not found during initialization`);
+      try {
+        await this.__initEndpoint(device);
+
+        if (device.ready === true) {
+          await this.__initDevice(device);
+        }
+      } catch (err) {
+        this.debug(`Error enabling device ${deviceId}: ${err.message}`);
+        return { deviceId, status: 'enabled', error: err.message };
       }
 
-      // Check if this device is already initialized
-      if (this.deviceEndpointInstances[device.id]) {
-        this.debug(`Device ${device.name} (${device.id}) is already initialized`);
-        return;
+      return { deviceId, status: 'enabled', error: null };
+    }));
+  }
+
+  // Disable many devices at once. Devices that no longer exist are disabled too.
+  async disableDevices(deviceIds) {
+    const devices = await this.api.devices.getDevices();
+
+    return Promise.all([...new Set(deviceIds)].map(async deviceId => {
+      if (!this.enabledDeviceIds.has(deviceId)) {
+        return { deviceId, status: 'unchanged', error: null };
       }
 
-      // Helper to create a Capability Instance, and store a reference to destroy it on uninitialization.
-      const makeCapabilityInstance = (capabilityId, callback) => {
-        if (!device.capabilitiesObj?.[capabilityId]) return;
+      this.enabledDeviceIds.delete(deviceId);
 
-        this.deviceCapabilityInstances[device.id] = this.deviceCapabilityInstances[device.id] || {};
-        if (this.deviceCapabilityInstances[device.id][capabilityId]) return;
+      const device = devices[deviceId];
+      if (!device || this.isDeviceBridged(deviceId)) {
+        return { deviceId, status: 'disabled', error: null };
+      }
 
-        this.deviceCapabilityInstances[device.id][capabilityId] = device.makeCapabilityInstance(capabilityId, (...props) => {
-          Promise.resolve().then(async () => {
-            await callback(...props);
-          }).catch(err => this.debug(`Error in capability instance callback for device ${device.id} capability ${capabilityId}: ${err.message}`));
-        });
+      try {
+        await this.__uninitEndpoint(device);
+      } catch (err) {
+        this.debug(`Error disabling device ${deviceId}: ${err.message}`);
+        return { deviceId, status: 'disabled', error: err.message };
       }
 
-      const registerEndpoint = async endpoint => {
-        this.deviceEndpointInstances[device.id] = this.deviceEndpointInstances[device.id] || new Set();
-        this.deviceEndpointInstances[device.id].add(endpoint);
+      return { deviceId, status: 'disabled', error: null };
+    }));
+  }
+
+  // A device is bridged when it's enabled by the user, or matches an expose rule.
+  isDeviceBridged(deviceId) {
+    return this.enabledDeviceIds.has(deviceId) || this.exposedDeviceIds.has(deviceId);
+  }
+
+  isDeviceExposed(deviceId) {
+    return this.exposedDeviceIds.has(deviceId);
+  }
+
+  // Replace the expose rules, and bridge or unbridge the devices that (no longer) match.
+  async setExposeRules(rules) {
+    this.exposeRules = rules.map(rule => validateExposeRule(rule));
+    await this.__updateExposedDevices();
+  }
 
-        await deviceEndpoint.add(endpoint);
+  // Re-evaluate the expose rules for the given devices, or all devices.
+  async __updateExposedDevices(deviceIds = null) {
+    const devices = await this.api.devices.getDevices();
+    const zones = await this.api.zones.getZones();
+
+    deviceIds = deviceIds ?? new Set([...Object.keys(devices), ...this.exposedDeviceIds]);
+    for (const deviceId of deviceIds) {
+      const device = devices[deviceId];
+      const isExposed = !!device && this.__matchesExposeRules(device, zones);
+      if (isExposed === this.exposedDeviceIds.has(deviceId)) continue;
+
+      // Update the set before awaiting, so concurrent evaluations don't initialize a device twice
+      const wasBridged = this.isDeviceBridged(deviceId);
+      if (isExposed) {
+        this.exposedDeviceIds.add(deviceId);
+      } else {
+        this.exposedDeviceIds.delete(deviceId);
       }
+      if (!device || wasBridged === this.isDeviceBridged(deviceId)) continue;
 
-      // Add Matter Behaviors based on the device class and capabilities
-      const deviceClass = device.virtualClass || device.class;
-      switch (deviceClass) {
-        case 'socket': {
-          class HomeyOnOffServer extends OnOffServer {
-            async on() {
-              await device.setCapabilityValue({
-                capabilityId: 'onoff',
-                value: true,
-              })
-            }
-
-            async off() {
-              await device.setCapabilityValue({
-                capabilityId: 'onoff',
-                value: false,
-              });
-            }
-          }
+      if (isExposed) {
+        this.debug(`Device ${device.name} (${device.id}) matches an expose rule`);
+        await Promise.resolve().then(async () => {
+          await this.__initEndpoint(device);
 
-          const endpointServers = [];
-          const endpointProperties = {
-            id: 'main',
-          };
-
-          if (device.capabilitiesObj?.onoff) {
-            endpointServers.push(HomeyOnOffServer);
-            endpointProperties.onOff = {
-              onOff: device.capabilitiesObj?.onoff?.value ?? false,
-            };
-
-            makeCapabilityInstance('onoff', async value => {
-              await endpoint.set({
-                onOff: {
-                  onOff: value ?? false,
-                },
-              });
-            });
+          if (device.ready === true) {
+            await this.__initDevice(device);
           }
+        }).catch(err => this.debug(`Error initializing exposed device ${device.id}: ${err.message}`));
+      } else {
+        this.debug(`Device ${device.name} (${device.id}) no longer matches an expose rule`);
+        await this.__uninitEndpoint(device)
+          .catch(err => this.debug(`Error uninitializing device ${device.id}: ${err.message}`));
+      }
+    }
+  }
 
-          if (device.capabilitiesObj?.measure_power) {
-            endpointServers.push(ElectricalPowerMeasurementServer);
-            endpointProperties.electricalPowerMeasurement = {
-              powerMode: ElectricalPowerMeasurement.PowerMode.Unknown,
-              numberOfMeasurementTypes: 1,
-              accuracy: [{
-                measurementType: MeasurementType.ActivePower, // mW
-                measured: true,
-                minMeasuredValue: Number.MIN_SAFE_INTEGER,
-                maxMeasuredValue: Number.MAX_SAFE_INTEGER,
-                accuracyRanges: [
-                  {
-                    rangeMin: Number.MIN_SAFE_INTEGER,
-                    rangeMax: Number.MAX_SAFE_INTEGER,
-                    fixedMax: 1,
-                  },
-                ],
-              }],
-              activePower: device.capabilitiesObj?.measure_power?.value ?? false,
-            };
-
-            makeCapabilityInstance('measure_power', async value => {
-              await endpoint.set({
-                electricalPowerMeasurement: {
-                  activePower: value * 1000, // W to mW
-                },
-              });
-            });
-          }
+  __matchesExposeRules(device, zones) {
+    if (!isBridgeableDevice(device)) return false;
+    return this.exposeRules.some(rule => matchesExposeRule(device, rule, zones));
+  }
 
-          const endpoint = new Endpoint(OnOffPlugInUnitDevice.with(...endpointServers), endpointProperties);
-          await registerEndpoint(endpoint);
+  // Force a mapping for a device, e.g. a light instead of a socket. The device's endpoints are rebuilt.
+  async setDeviceOverride(deviceId, override) {
+    override = validateDeviceOverride(override);
 
-          break;
-        }
+    if (override) {
+      this.deviceOverrides[deviceId] = override;
+    } else {
+      delete this.deviceOverrides[deviceId];
+    }
 
-        case 'light': {
-          class HomeyOnOffServer extends OnOffServer {
-            async on() {
-              await device.setCapabilityValue({
-                capabilityId: 'onoff',
-                value: true,
-              })
-            }
-
-            async off() {
-              await device.setCapabilityValue({
-                capabilityId: 'onoff',
-                value: false,
-              });
-            }
-          }
+    if (!this.isDeviceBridged(deviceId)) return;
 
-          class HomeyLevelControlServer extends LevelControlServer {
-            async moveToLevelWithOnOff({
-              level,
-            }) {
-              await Promise.all([
-                device.capabilitiesObj.onoff && device.setCapabilityValue({
-                  capabilityId: 'onoff',
-                  value: level > 0,
-                }),
-                device.capabilitiesObj.dim && device.setCapabilityValue({
-                  capabilityId: 'dim',
-                  value: scaleNumber(level, 1, 254, 0, 1),
-                }),
-              ]);
-            }
-
-            async moveToLevel({
-              level,
-            }) {
-              await device.setCapabilityValue({
-                capabilityId: 'dim',
-                value: scaleNumber(level, 1, 254, 0, 1),
-              });
-            }
-          }
+    const device = await this.api.devices.getDevice({ id: deviceId });
+    if (!device) {
+      throw new Error(`Device with ID ${deviceId} not found`);
+    }
 
-          class HomeyColorControlServer extends ColorControlServer {
-
-            async moveToHueAndSaturation({
-              hue,
-              saturation,
-            }) {
-              await Promise.all([
-                device.capabilitiesObj.onoff && device.setCapabilityValue({
-                  capabilityId: 'onoff',
-                  value: true,
-                }),
-                device.capabilitiesObj.light_hue && device.setCapabilityValue({
-                  capabilityId: 'light_hue',
-                  value: scaleNumber(hue, 0, 254, 0, 1),
-                }),
-                device.capabilitiesObj.light_saturation && device.setCapabilityValue({
-                  capabilityId: 'light_saturation',
-                  value: scaleNumber(saturation, 1, 254, 0, 1),
-                }),
-                device.capabilitiesObj.light_mode && device.setCapabilityValue({
-                  capabilityId: 'light_mode',
-                  value: 'color',
-                }),
-              ]);
-            }
-
-            async moveToColorTemperature({
-              colorTemperatureMireds,
-            }) {
-              await Promise.all([
-                device.capabilitiesObj.onoff && device.setCapabilityValue({
-                  capabilityId: 'onoff',
-                  value: true,
-                }),
-                device.capabilitiesObj.light_temperature && device.setCapabilityValue({
-                  capabilityId: 'light_temperature',
-                  value: scaleNumber(colorTemperatureMireds, 1, 300, 0, 1),
-                }),
-                device.capabilitiesObj.light_mode && device.setCapabilityValue({
-                  capabilityId: 'light_mode',
-                  value: 'temperature',
-                }),
-              ]);
-            }
+    // The Bridged Node is only recreated when its behaviors change, because controllers see it as a new device
+    if (this.deviceBridgedNodeSignatures[device.id] !== this.__getBridgedNodeSignature(device)) {
+      await this.__uninitEndpoint(device);
+      await this.__initEndpoint(device);
+    } else {
+      await this.__uninitDevice(device);
+    }
 
-          }
+    if (device.ready === true) {
+      await this.__initDevice(device);
+    }
+  }
 
-          let endpointClass = OnOffLightDevice;
-          const endpointServers = [];
-          const endpointProperties = {
-            id: 'main',
-          };
-
-          if (device?.capabilitiesObj?.onoff) {
-            endpointServers.push(HomeyOnOffServer);
-            endpointProperties.onOff = {
-              onOff: device.capabilitiesObj?.onoff?.value ?? false,
-            };
-
-            makeCapabilityInstance('onoff', async value => {
-              await endpoint.set({
-                onOff: {
-                  onOff: value ?? false,
-                },
-              });
-            });
-          }
+  getDeviceClasses() {
+    return this.mapperRegistry.getClasses();
+  }
 
-          if (device?.capabilitiesObj?.dim) {
-            endpointClass = DimmableLightDevice;
-            endpointServers.push(HomeyLevelControlServer);
-            endpointProperties.levelControl = {
-              currentLevel: scaleNumber(device.capabilitiesObj?.dim?.value, 0, 1, 1, 254) ?? 1,
-              minLevel: 1,
-              maxLevel: 254,
-            };
-
-            makeCapabilityInstance('dim', async value => {
-              await endpoint.set({
-                levelControl: {
-                  currentLevel: scaleNumber(value, 0, 1, 1, 254) ?? 1,
-                },
-              });
-            });
-          }
+  // A report of how every enabled device is mapped, to help debugging devices that don't work as expected.
+  async getDiagnostics() {
+    const devices = await this.api.devices.getDevices();
 
-          if (device?.capabilitiesObj?.light_hue && device?.capabilitiesObj?.light_saturation) {
-            endpointProperties.colorControl = {
-              ...endpointProperties.colorControl,
-              colorMode: ColorControl.ColorMode.CurrentHueAndCurrentSaturation,
-              currentHue: scaleAndRoundNumber(device.capabilitiesObj?.light_hue?.value, 0, 1, 0, 254) ?? 0,
-              currentSaturation: scaleAndRoundNumber(device.capabilitiesObj?.light_saturation?.value, 0, 1, 0, 254) ?? 0,
-            };
-
-            makeCapabilityInstance('light_hue', async value => {
-              await endpoint.set({
-                colorControl: {
-                  currentHue: scaleNumber(value, 0, 1, 0, 254) ?? 0,
-                },
-              });
-            });
-
-            makeCapabilityInstance('light_saturation', async value => {
-              await endpoint.set({
-                colorControl: {
-                  currentSaturation: scaleNumber(value, 0, 1, 0, 254) ?? 0,
-                },
-              });
-            });
-          }
+    const result = {
+      server: {
+        online: this.serverNode?.lifecycle?.isOnline ?? false,
+        commissioned: this.serverNode?.lifecycle?.isCommissioned ?? false,
+        fabrics: this.serverNode?.lifecycle?.isOnline
+          ? this.__getFabricManager().fabrics.length
+          : null,
+        queue: {
+          size: this.__queue.size,
+          pending: this.__queue.pending,
+          paused: this.__queue.isPaused,
+        },
+        mappers: this.mapperRegistry.mappers.map(mapper => mapper.id),
+      },
+      devices: [],
+    };
 
-          if (device?.capabilitiesObj?.light_temperature) {
-            endpointProperties.colorControl = {
-              ...endpointProperties.colorControl,
-              colorMode: ColorControl.ColorMode.ColorTemperatureMireds,
-              colorTemperatureMireds: scaleNumber(device.capabilitiesObj?.light_temperature?.value, 0, 1, 1, 300) ?? 150,
-              colorTempPhysicalMinMireds: 1,
-              colorTempPhysicalMaxMireds: 300,
-              coupleColorTempToLevelMinMireds: 1,
-            };
-
-            makeCapabilityInstance('light_temperature', async value => {
-              await endpoint.set({
-                colorControl: {
-                  colorTemperatureMireds: scaleNumber(value, 0, 1, 1, 300) ?? 150,
-                },
-              });
-            });
-          }
+    for (const deviceId of new Set([...this.enabledDeviceIds, ...this.exposedDeviceIds])) {
+      const device = devices[deviceId];
+      if (!device) {
+        result.devices.push({
+          id: deviceId,
+          error: 'Device not found',
+        });
+        continue;
+      }
 
-          if (device.capabilitiesObj?.light_hue && device.capabilitiesObj?.light_saturation && !device.capabilitiesObj?.light_temperature) {
-            endpointClass = DimmableLightDevice;
-            endpointServers.push(HomeyColorControlServer.with(ColorControl.Feature.HueSaturation)); // Only Color
-          } else if (!device.capabilitiesObj?.light_hue && !device.capabilitiesObj?.light_saturation && device.capabilitiesObj?.light_temperature) {
-            endpointClass = ColorTemperatureLightDevice;
-            endpointServers.push(HomeyColorControlServer.with(ColorControl.Feature.ColorTemperature)); // Only Temperature
-          } else if (device.capabilitiesObj?.light_hue && device.capabilitiesObj?.light_saturation && device.capabilitiesObj?.light_temperature) {
-            endpointClass = ExtendedColorLightDevice;
-            endpointServers.push(HomeyColorControlServer.with(ColorControl.Feature.HueSaturation, ColorControl.Feature.ColorTemperature)); // Both Color & Temperature
-          }
+      result.devices.push(this.__getDeviceDiagnostics(device));
+    }
 
-          if (device.capabilitiesObj?.light_hue
-            && device.capabilitiesObj?.light_saturation
-            && device.capabilitiesObj?.light_temperature) {
-
-            switch (device.capabilitiesObj?.light_mode?.value) {
-              case null:
-              case 'color': {
-                endpointProperties.colorControl.colorMode = ColorControl.ColorMode.CurrentHueAndCurrentSaturation;
-                delete endpointProperties.colorControl.colorTemperatureMireds;
-                break;
-              }
-              case 'temperature': {
-                endpointProperties.colorControl.colorMode = ColorControl.ColorMode.ColorTemperatureMireds;
-                delete endpointProperties.colorControl.currentHue;
-                delete endpointProperties.colorControl.currentSaturation;
-                break;
-              }
-            }
-          }
+    return result;
+  }
 
-          if (device.capabilitiesObj?.light_mode) {
-            makeCapabilityInstance('light_mode', async value => {
-              // TODO: Apple Home does not seem to change the mode when this method is called.
-              switch (value) {
-                case 'color': {
-                  await endpoint.set({
-                    colorControl: {
-                      colorMode: ColorControl.ColorMode.ColorTemperatureMireds,
-                    },
-                  });
-                  break;
-                }
-                case 'temperature': {
-                  await endpoint.set({
-                    colorControl: {
-                      colorMode: ColorControl.ColorMode.CurrentHueAndCurrentSaturation,
-                    },
-                  });
-                  break;
-                }
-              }
-            });
-          }
+  __getDeviceDiagnostics(device) {
+    const override = this.deviceOverrides[device.id] ?? null;
+    const deviceEndpoint = this.deviceEndpoints[device.id];
+    const endpointInstances = [...this.deviceEndpointInstances[device.id] ?? []];
+    const endpointErrors = this.deviceEndpointErrors[device.id] ?? {};
+
+    const result = {
+      id: device.id,
+      name: device.name,
+      class: device.class,
+      virtualClass: device.virtualClass ?? null,
+      driverId: device.driverId,
+      ready: device.ready,
+      available: device.available,
+      capabilities: Object.keys(device.capabilitiesObj ?? {}),
+      override,
+      isEnabled: this.enabledDeviceIds.has(device.id),
+      isExposed: this.exposedDeviceIds.has(device.id),
+      bridgedNode: deviceEndpoint
+        ? { clusters: Object.keys(deviceEndpoint.behaviors.supported) }
+        : null,
+      endpoints: [],
+      skippedCapabilities: [],
+      lastCapabilityError: this.deviceCapabilityErrors[device.id] ?? null,
+      error: null,
+    };
+
+    let definitions = [];
+    try {
+      definitions = this.__getEndpointDefinitions(device);
+    } catch (err) {
+      result.error = err.message;
+    }
 
-          const endpoint = new Endpoint(endpointClass.with(...endpointServers), endpointProperties);
-          await registerEndpoint(endpoint);
+    // Capabilities that are mapped by an endpoint that has been created
+    const mappedCapabilityIds = new Set();
+    const failedCapabilityIds = {};
 
-          break;
+    for (const { mapper, endpoint: endpointDefinition, bridgedNode } of definitions) {
+      const endpoint = bridgedNode
+        ? deviceEndpoint
+        : endpointInstances.find(endpoint => endpoint.id === endpointDefinition.id);
+      const error = endpointErrors[endpointDefinition.id] ?? null;
+
+      const capabilityIds = getEndpointCapabilityIds(device, endpointDefinition);
+
+      for (const capabilityId of capabilityIds) {
+        if (endpoint && !error) {
+          mappedCapabilityIds.add(capabilityId);
+        } else {
+          failedCapabilityIds[capabilityId] = error ?? 'The endpoint has not been created';
         }
+      }
 
-        case 'thermostat':
-        case 'heatpump':
-        case 'heater':
-        case 'airconditioning': {
-          const thermostatServerFeatures = [];
+      if (bridgedNode) continue;
+
+      result.endpoints.push({
+        id: endpointDefinition.id,
+        mapper: mapper.id,
+        deviceType: endpoint?.type.name ?? null,
+        clusters: endpoint
+          ? Object.keys(endpoint.behaviors.supported)
+          : [],
+        capabilities: capabilityIds,
+        error,
+      });
+    }
 
-          let hasOff = true;
-          let hasHeat = true;
-          let hasCool = false;
-          let hasAuto = false;
+    for (const capabilityId of result.capabilities) {
+      if (mappedCapabilityIds.has(capabilityId)) continue;
 
-          if (device.capabilitiesObj?.thermostat_mode) {
-            hasHeat = !!device.capabilitiesObj?.thermostat_mode?.values?.find(value => value.id === 'heat');
-            hasHeat && thermostatServerFeatures.push(Thermostat.Feature.Heating);
+      const reason = (() => {
+        if (failedCapabilityIds[capabilityId]) return failedCapabilityIds[capabilityId];
+        if (Array.isArray(override?.capabilities) && !override.capabilities.includes(capabilityId)) return 'Excluded by the device override';
+        if (this.mapperRegistry.isOptInCapability(capabilityId)) return 'Not included in the device override';
+        if (device.ready !== true) return 'The device is not ready';
+        if (device.capabilitiesObj[capabilityId]?.maintenanceAction === true) return 'Maintenance actions are not supported';
+        return 'Not supported by any Mapper';
+      })();
 
-            hasCool = !!device.capabilitiesObj?.thermostat_mode?.values?.find(value => value.id === 'cool');
-            hasCool && thermostatServerFeatures.push(Thermostat.Feature.Cooling);
+      result.skippedCapabilities.push({ id: capabilityId, reason });
+    }
 
-            hasAuto = !!device.capabilitiesObj?.thermostat_mode?.values?.find(value => value.id === 'auto');
-            hasAuto && thermostatServerFeatures.push(Thermostat.Feature.AutoMode);
+    return result;
+  }
 
-            hasOff = !!device.capabilitiesObj?.thermostat_mode?.values?.find(value => value.id === 'off');
-          } else {
-            hasHeat && thermostatServerFeatures.push(Thermostat.Feature.Heating);
-          }
+  // How well a device can be bridged, without creating its endpoints.
+  getDeviceSupport(device) {
+    let definitions;
+    try {
+      definitions = this.__getEndpointDefinitions(device);
+    } catch (err) {
+      return {
+        level: 'unsupported',
+        deviceTypes: [],
+        unsupportedCapabilities: [],
+        error: err.message,
+      };
+    }
 
-          // Skip thermostats without any supported modes
-          if (!hasHeat && !hasCool && !hasAuto && !hasOff) return;
-
-          const EndpointClass = (() => {
-            switch (deviceClass) {
-              case 'airconditioning': return RoomAirConditionerDevice;
-              default: return ThermostatDevice;
-            }
-          })();
-
-          const endpoint = new Endpoint(EndpointClass.with(
-            class extends ThermostatServer.with(...thermostatServerFeatures) {
-              async setpointRaiseLower() { // This method seems to be never called, yet is required to be implemented
-                console.log('setpointRaiseLower', arguments);
-              }
-            },
-          ), {
-            id: 'main',
-            thermostat: {
-              systemMode: (() => {
-                switch (device.capabilitiesObj?.thermostat_mode?.value) {
-                  case 'off': return Thermostat.SystemMode.Off;
-                  case 'auto': return Thermostat.SystemMode.Auto;
-                  case 'cool': return Thermostat.SystemMode.Cool;
-                  case 'heat': return Thermostat.SystemMode.Heat;
-                  default: return Thermostat.SystemMode.Heat;
-                }
-              })(),
-              controlSequenceOfOperation: (() => {
-                if (device.capabilitiesObj?.thermostat_mode) {
-                  if (hasHeat && hasCool) {
-                    return Thermostat.ControlSequenceOfOperation.CoolingAndHeating;
-                  } else if (hasHeat) {
-                    return Thermostat.ControlSequenceOfOperation.HeatingOnly;
-                  }
-                } else {
-                  return Thermostat.ControlSequenceOfOperation.HeatingOnly;
-                }
-              })(),
-              occupiedHeatingSetpoint: typeof device.capabilitiesObj?.target_temperature?.value === 'number'
-                ? Math.round(device.capabilitiesObj?.target_temperature?.value * 100)
-                : 0,
-              minHeatSetpointLimit: typeof device.capabilitiesObj?.target_temperature?.min === 'number'
-                ? Math.round(device.capabilitiesObj?.target_temperature?.min * 100)
-                : 0,
-              absMinHeatSetpointLimit: typeof device.capabilitiesObj?.target_temperature?.min === 'number'
-                ? Math.round(device.capabilitiesObj?.target_temperature?.min * 100)
-                : 0,
-              maxHeatSetpointLimit: typeof device.capabilitiesObj?.target_temperature?.max === 'number'
-                ? Math.round(device.capabilitiesObj?.target_temperature?.max * 100)
-                : 10000,
-              absMaxHeatSetpointLimit: typeof device.capabilitiesObj?.target_temperature?.max === 'number'
-                ? Math.round(device.capabilitiesObj?.target_temperature?.max * 100)
-                : 10000,
-              minSetpointDeadBand: 0,
-              localTemperature: typeof device.capabilitiesObj?.measure_temperature?.value === 'number'
-                ? Math.round(device.capabilitiesObj.measure_temperature.value * 100)
-                : null,
-            },
-          });
-          await registerEndpoint(endpoint);
+    const deviceTypes = [...new Set(definitions
+      .filter(({ bridgedNode }) => !bridgedNode)
+      .map(({ endpoint }) => endpoint.deviceType.name))];
+
+    // Capabilities excluded by the device override, or that it doesn't opt in to, are not expected to be mapped
+    const override = this.deviceOverrides[device.id];
+    const mappedCapabilityIds = new Set(definitions.flatMap(({ endpoint }) => getEndpointCapabilityIds(device, endpoint)));
+    const unsupportedCapabilities = Object.entries(device.capabilitiesObj ?? {})
+      .filter(([capabilityId, capability]) => {
+        if (capability?.maintenanceAction === true) return false;
+        if (Array.isArray(override?.capabilities) && !override.capabilities.includes(capabilityId)) return false;
+        if (!Array.isArray(override?.capabilities) && this.mapperRegistry.isOptInCapability(capabilityId)) return false;
+        return !mappedCapabilityIds.has(capabilityId);
+      })
+      .map(([capabilityId]) => capabilityId);
+
+    const level = (() => {
+      if (deviceTypes.length === 0) return 'unsupported';
+      if (unsupportedCapabilities.length > 0) return 'partial';
+      return 'full';
+    })();
 
-          endpoint.events.thermostat.events.occupiedHeatingSetpoint$Changing?.on(async value => {
-            await device.setCapabilityValue({
-              capabilityId: 'target_temperature',
-              value: Math.round(value / 100),
-            });
-          });
+    return {
+      level,
+      deviceTypes,
+      unsupportedCapabilities,
+      error: null,
+    };
+  }
 
-          endpoint.events.thermostat.events.occupiedCoolingSetpoint$Changing?.on(async value => {
-            if (device.capabilitiesObj?.['target_temperature.cool']) {
-              await device.setCapabilityValue({
-                capabilityId: 'target_temperature.cool',
-                value: Math.round(value / 100),
-              });
-            }
-          });
+  __getEndpointDefinitions(device) {
+    const override = this.deviceOverrides[device.id];
 
-          endpoint.events.thermostat.events.systemMode$Changing.on(async value => {
-            if (!device.capabilitiesObj?.thermostat_mode) {
-              throw new Error('Cannot Change Thermostat Mode');
-            };
-
-            switch (value) {
-              case Thermostat.SystemMode.Off: {
-                await device.setCapabilityValue({
-                  capabilityId: 'thermostat_mode',
-                  value: 'off',
-                });
-                break;
-              }
-              case Thermostat.SystemMode.Auto: {
-                await device.setCapabilityValue({
-                  capabilityId: 'thermostat_mode',
-                  value: 'auto',
-                });
-                break;
-              }
-              case Thermostat.SystemMode.Heat: {
-                await device.setCapabilityValue({
-                  capabilityId: 'thermostat_mode',
-                  value: 'heat',
-                });
-                break;
-              }
-              case Thermostat.SystemMode.Cool: {
-                await device.setCapabilityValue({
-                  capabilityId: 'thermostat_mode',
-                  value: 'cool',
-                });
-                break;
-              }
-            }
-          });
+    return [
+      ...this.mapperRegistry.getEndpoints(device, { bridgedNode: true, override })
+        .map(definition => ({ ...definition, bridgedNode: true })),
+      ...this.mapperRegistry.getEndpoints(device, { override }),
+    ];
+  }
 
-          makeCapabilityInstance('measure_temperature', async value => {
-            await endpoint.set({
-              thermostat: {
-                localTemperature: typeof value === 'number'
-                  ? Math.round(value * 100)
-                  : null,
-              },
-            });
-          });
+  // Emit an event, e.g. a button press, to the Matter endpoints of a device.
+  async emitDeviceEvent({ deviceId, eventId, data = {} }) {
+    const listeners = this.deviceEventListeners[deviceId]?.[eventId];
+    if (!listeners?.length) {
+      throw new Error(`Device ${deviceId} has no listeners for event ${eventId}`);
+    }
 
-          makeCapabilityInstance('target_temperature', async value => {
-            await endpoint.set({
-              thermostat: {
-                occupiedHeatingSetpoint: typeof value === 'number'
-                  ? Math.round(value * 100)
-                  : null,
-              },
-            });
-          });
+    for (const listener of listeners) {
+      await listener(data);
+    }
+  }
 
-          makeCapabilityInstance('thermostat_mode', async value => {
-            switch (value) {
-              case 'off': {
-                await endpoint.set({
-                  thermostat: {
-                    systemMode: Thermostat.SystemMode.Off,
-                  },
-                });
-                break;
-              }
-              case 'auto': {
-                await endpoint.set({
-                  thermostat: {
-                    systemMode: Thermostat.SystemMode.Auto,
-                  },
-                });
-                break;
-              }
-              case 'heat': {
-                await endpoint.set({
-                  thermostat: {
-                    systemMode: Thermostat.SystemMode.Heat,
-                  },
-                });
-                break;
-              }
-              case 'cool': {
-                await endpoint.set({
-                  thermostat: {
-                    systemMode: Thermostat.SystemMode.Cool,
-                  },
-                });
-                break;
-              }
-            }
-          });
+  getDeviceEventIds(deviceId) {
+    return Object.keys(this.deviceEventListeners[deviceId] ?? {});
+  }
 
-          // Humidity
-          if (device.capabilitiesObj?.measure_humidity) {
-            const endpoint = new Endpoint(HumiditySensorDevice.with(RelativeHumidityMeasurementServer), {
-              id: 'measure_humidity',
-              relativeHumidityMeasurement: {
-                measuredValue: typeof device.capabilitiesObj?.measure_humidity?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_humidity?.value * 100)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_humidity', async value => {
-              await endpoint.set({
-                relativeHumidityMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value * 100)
-                    : null,
-                },
-              });
-            });
-          }
+  async __initEndpoint(device) {
+    return this.__queue.add(async () => {
+      if (this.deviceEndpoints[device.id]) {
+        this.debug(`Endpoint for ${device.name} (${device.id}) is already initialized`);
+        return;
+      }
 
-          break;
-        }
+      this.debug(`Initializing Endpoint for ${device.name} (${device.id})`);
 
-        case 'lock': {
-          if (device.capabilitiesObj?.locked) {
-            class HomeyDoorLockServer extends DoorLockServer {
-              async lockDoor() {
-                await device.setCapabilityValue({
-                  capabilityId: 'locked',
-                  value: true,
-                });
-              }
-              async unlockDoor() {
-                await device.setCapabilityValue({
-                  capabilityId: 'locked',
-                  value: false,
-                });
-              }
-            }
-
-            const endpoint = new Endpoint(DoorLockDevice.with(HomeyDoorLockServer), {
-              id: 'main',
-              doorLock: {
-                lockType: DoorLock.LockType.Other,
-                lockState: typeof device.capabilitiesObj?.locked?.value === true
-                  ? DoorLock.LockState.Locked
-                  : DoorLock.LockState.Unlocked,
-                actuatorEnabled: true,
-              }
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('locked', async value => {
-              await endpoint.set({
-                doorLock: {
-                  lockState: value === true
-                    ? DoorLock.LockState.Locked
-                    : DoorLock.LockState.Unlocked,
-                },
-              });
-            });
-          }
+      // Get the device's driver
+      const driver = await device.getDriver();
 
-          break;
-        }
+      // Get the device's zone, which is exposed as a room hint
+      const zoneName = await this.__getZoneName(device);
 
-        case 'windowcoverings':
-        case 'blinds':
-        case 'shutterblinds':
-        case 'curtain': {
-          if (device.capabilitiesObj?.windowcoverings_set) {
-            const HomeyWindowConveringServer = class extends WindowCoveringServer.with(
-              WindowCovering.Feature.Lift,
-              WindowCovering.Feature.PositionAwareLift,
-            ) {
-
-              async goToLiftPercentage({ liftPercent100thsValue }) {
-                await device.setCapabilityValue({
-                  capabilityId: 'windowcoverings_set',
-                  value: 1 - scaleNumber(liftPercent100thsValue, 0, 10000, 0, 1),
-                });
-              }
-
-            }
-
-            const endpoint = new Endpoint(WindowCoveringDevice.with(HomeyWindowConveringServer), {
-              id: 'main',
-              windowCovering: {
-                targetPositionLiftPercent100ths: typeof device.capabilitiesObj?.windowcoverings_set?.value === 'number'
-                  ? 10000 - scaleNumber(device.capabilitiesObj?.windowcoverings_set?.value, 0, 1, 0, 10000)
-                  : 5000,
-                currentPositionLiftPercent100ths: typeof device.capabilitiesObj?.windowcoverings_set?.value === 'number'
-                  ? 10000 - scaleNumber(device.capabilitiesObj?.windowcoverings_set?.value, 0, 1, 0, 10000)
-                  : null,
-              }
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('windowcoverings_set', async value => {
-              await endpoint.set({
-                windowCovering: {
-                  currentPositionLiftPercent100ths: typeof value === 'number'
-                    ? 10000 - scaleNumber(value, 0, 1, 0, 10000)
-                    : 5000,
-                  targetPositionLiftPercent100ths: typeof value === 'number'
-                    ? 10000 - scaleNumber(value, 0, 1, 0, 10000)
-                    : 5000,
-                },
-              });
-            });
-          }
+      // Get the device's override, which forces a mapping
+      const override = this.deviceOverrides[device.id];
 
-          else if (device.capabilitiesObj?.windowcoverings_state) {
-            const HomeyWindowConveringServer = class extends WindowCoveringServer.with(
-              WindowCovering.Feature.Lift,
-            ) {
-
-              async upOrOpen() {
-                await device.setCapabilityValue({
-                  capabilityId: 'windowcoverings_state',
-                  value: 'up',
-                });
-              }
-
-              async downOrClose() {
-                await device.setCapabilityValue({
-                  capabilityId: 'windowcoverings_state',
-                  value: 'down',
-                });
-              }
-
-              async stopMotion() {
-                await device.setCapabilityValue({
-                  capabilityId: 'windowcoverings_state',
-                  value: 'idle',
-                });
-              }
-
-            }
-
-            const endpoint = new Endpoint(WindowCoveringDevice.with(HomeyWindowConveringServer), {
-              id: 'main',
-              windowCovering: {
-                operationalStatus: {
-                  lift: (() => {
-                    switch (device.capabilitiesObj?.windowcoverings_state?.value) {
-                      case 'up': return WindowCovering.MovementStatus.Opening;
-                      case 'down': return WindowCovering.MovementStatus.Closing;
-                      case 'idle': return WindowCovering.MovementStatus.Stopped;
-                      default: return WindowCovering.MovementStatus.Stopped;
-                    }
-                  })(),
-                },
-              }
-            });
-            await registerEndpoint(endpoint);
-
-            // Note: The status seems to be synced, but it doesn't show up in Apple Home.
-            makeCapabilityInstance('windowcoverings_state', async value => {
-              switch (value) {
-                case 'up': {
-                  await endpoint.set({
-                    windowCovering: {
-                      operationalStatus: {
-                        lift: WindowCovering.MovementStatus.Opening,
-                      },
-                    },
-                  });
-                  break;
-                }
-                case 'down': {
-                  await endpoint.set({
-                    windowCovering: {
-                      operationalStatus: {
-                        lift: WindowCovering.MovementStatus.Closing,
-                      },
-                    },
-                  });
-                  break;
-                }
-                case 'idle': {
-                  await endpoint.set({
-                    windowCovering: {
-                      operationalStatus: {
-                        lift: WindowCovering.MovementStatus.Stopped,
-                      },
-                    },
-                  });
-                  break;
-                }
-              }
-            });
-          }
+      // Get the behaviors of Mappers that extend the Bridged Node, e.g. a Power Source
+      const bridgedNodeDefinitions = this.mapperRegistry.getEndpoints(device, { bridgedNode: true, override })
+        .map(({ endpoint }) => endpoint);
+      const bridgedNodeBehaviors = bridgedNodeDefinitions.flatMap(({ behaviors = [] }) => behaviors);
+      this.deviceBridgedNodeSignatures[device.id] = this.__getBridgedNodeSignature(device);
 
-          break;
-        }
+      // Create a Matter Endpoint
+      this.deviceEndpoints[device.id] = new Endpoint(BridgedNodeEndpoint.with(FixedLabelServer, ...bridgedNodeBehaviors), mergeState({
+        id: device.id,
+        bridgedDeviceBasicInformation: {
+          nodeLabel: ellipseString(device.name),
+          vendorName: ellipseString(driver?.ownerName ?? 'Unknown'),
+          productName: ellipseString(driver?.name ?? 'Unknown'),
+          serialNumber: ellipseString(device.id.replaceAll('-', '')), // Max length is 32, so if we remove the dashes from the UUIDv4, it fits!
+          reachable: device.available !== false,
+        },
+        fixedLabel: {
+          labelList: getRoomLabelList(zoneName),
+        },
+      }, ...bridgedNodeDefinitions.map(endpointDefinition => getInitialState(device, endpointDefinition))));
+      await this.aggregatorEndpoint.add(this.deviceEndpoints[device.id]);
+    });
+  }
 
-        case 'sensor': {
-          if (device.capabilitiesObj?.measure_temperature) {
-            const endpoint = new Endpoint(TemperatureSensorDevice.with(TemperatureMeasurementServer), {
-              id: 'measure_temperature',
-              temperatureMeasurement: {
-                measuredValue: typeof device.capabilitiesObj?.measure_temperature?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_temperature?.value * 100)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_temperature', async value => {
-              await endpoint.set({
-                temperatureMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value * 100)
-                    : null,
-                },
-              });
-            });
-          }
+  async __updateEndpoint(device) {
+    return this.__queue.add(async () => {
+      const deviceEndpoint = this.deviceEndpoints[device.id];
+      if (!deviceEndpoint) return;
 
-          if (device.capabilitiesObj?.measure_humidity) {
-            const endpoint = new Endpoint(HumiditySensorDevice.with(RelativeHumidityMeasurementServer), {
-              id: 'measure_humidity',
-              relativeHumidityMeasurement: {
-                measuredValue: typeof device.capabilitiesObj?.measure_humidity?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_humidity?.value * 100)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_humidity', async value => {
-              await endpoint.set({
-                relativeHumidityMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value * 100)
-                    : null,
-                },
-              });
-            });
-          }
+      const reachable = device.available !== false;
+      if (deviceEndpoint.state.bridgedDeviceBasicInformation.reachable !== reachable) {
+        this.debug(`Device ${device.name} (${device.id}) became ${reachable ? 'reachable' : 'unreachable'}`);
+      }
 
-          if (device.capabilitiesObj?.measure_co) {
-            const endpoint = new Endpoint(SmokeCoAlarmDevice.with(CarbonMonoxideConcentrationMeasurementServer.with('NumericMeasurement')), {
-              id: 'measure_co',
-              carbonMonoxideConcentrationMeasurement: {
-                measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ppm,
-                measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
-                measuredValue: typeof device.capabilitiesObj?.measure_co?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_co?.value)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_co', async value => {
-              await endpoint.set({
-                carbonMonoxideConcentrationMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value)
-                    : null,
-                },
-              });
-            });
-          }
+      const nodeLabel = ellipseString(device.name);
+      if (deviceEndpoint.state.bridgedDeviceBasicInformation.nodeLabel !== nodeLabel) {
+        this.debug(`Device ${device.id} was renamed to ${device.name}`);
+      }
 
-          if (device.capabilitiesObj?.measure_co2) {
-            const endpoint = new Endpoint(AirQualitySensorDevice.with(CarbonDioxideConcentrationMeasurementServer.with('NumericMeasurement')), {
-              id: 'measure_co2',
-              carbonDioxideConcentrationMeasurement: {
-                measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ppm,
-                measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
-                measuredValue: typeof device.capabilitiesObj?.measure_co2?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_co2?.value)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_co2', async value => {
-              await endpoint.set({
-                carbonDioxideConcentrationMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value)
-                    : null,
-                },
-              });
-            });
-          }
+      const zoneName = await this.__getZoneName(device);
 
-          if (device.capabilitiesObj?.measure_pm10) {
-            const endpoint = new Endpoint(AirQualitySensorDevice.with(Pm10ConcentrationMeasurementServer.with('NumericMeasurement')), {
-              id: 'measure_pm10',
-              pm10ConcentrationMeasurement: {
-                measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ugm3,
-                measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
-                measuredValue: typeof device.capabilitiesObj?.measure_pm10?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_pm10?.value)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_pm10', async value => {
-              await endpoint.set({
-                pm10ConcentrationMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value)
-                    : null,
-                },
-              });
-            });
-          }
+      await deviceEndpoint.set({
+        bridgedDeviceBasicInformation: {
+          reachable,
+          nodeLabel,
+        },
+        fixedLabel: {
+          labelList: getRoomLabelList(zoneName),
+        },
+      });
+    });
+  }
 
-          if (device.capabilitiesObj?.measure_pm25) {
-            const endpoint = new Endpoint(AirQualitySensorDevice.with(Pm25ConcentrationMeasurementServer.with('NumericMeasurement')), {
-              id: 'measure_pm25',
-              pm25ConcentrationMeasurement: {
-                measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ugm3,
-                measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
-                measuredValue: typeof device.capabilitiesObj?.measure_pm25?.value === 'number'
-                  ? Math.round(device.capabilitiesObj?.measure_pm25?.value)
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_pm25', async value => {
-              await endpoint.set({
-                pm25ConcentrationMeasurement: {
-                  measuredValue: typeof value === 'number'
-                    ? Math.round(value)
-                    : null,
-                },
-              });
-            });
-          }
+  // The Mappers that add behaviors to a device's Bridged Node
+  __getBridgedNodeSignature(device) {
+    const override = this.deviceOverrides[device.id];
+    return this.mapperRegistry.getEndpoints(device, { bridgedNode: true, override })
+      .map(({ mapper, endpoint }) => `${mapper.id}:${endpoint.id}`)
+      .join(',');
+  }
 
-          if (device.capabilitiesObj?.measure_luminance) {
-            const endpoint = new Endpoint(LightSensorDevice, {
-              id: 'measure_luminance',
-              illuminanceMeasurement: {
-                measuredValue: typeof device.capabilitiesObj?.measure_luminance?.value === 'number' && device.capabilitiesObj?.measure_luminance?.value > 0
-                  ? 10000 * Math.log10(device.capabilitiesObj?.measure_luminance?.value) + 1
-                  : null,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('measure_luminance', async value => {
-              await endpoint.set({
-                illuminanceMeasurement: {
-                  measuredValue: typeof value === 'number' && value > 0
-                    ? 10000 * Math.log10(value) + 1
-                    : null,
-                },
-              });
-            });
-          }
+  async __getZoneName(device) {
+    const zone = await device.getZone().catch(err => {
+      this.debug(`Error getting zone for device ${device.id}: ${err.message}`);
+      return null;
+    });
 
-          if (device.capabilitiesObj?.alarm_motion) {
-            const endpoint = new Endpoint(OccupancySensorDevice.with(
-              OccupancySensingServer.with(OccupancySensing.Feature.PassiveInfrared)
-            ), {
-              id: 'alarm_motion',
-              occupancySensing: {
-                occupancy: {
-                  occupied: device.capabilitiesObj?.alarm_motion?.value === true,
-                },
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('alarm_motion', async value => {
-              await endpoint.set({
-                occupancySensing: {
-                  occupancy: {
-                    occupied: value === true,
-                  },
-                },
-              });
-            });
-          }
+    return zone?.name ?? null;
+  }
 
-          if (device.capabilitiesObj?.alarm_occupancy) {
-            const endpoint = new Endpoint(OccupancySensorDevice.with(
-              OccupancySensingServer.with(OccupancySensing.Feature.Ultrasonic)
-            ), {
-              id: 'alarm_occupancy',
-              occupancySensing: {
-                occupancy: {
-                  occupied: device.capabilitiesObj?.alarm_occupancy?.value === true,
-                },
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('alarm_occupancy', async value => {
-              await endpoint.set({
-                occupancySensing: {
-                  occupancy: {
-                    occupied: value === true,
-                  },
-                },
-              });
-            });
-          }
+  async __initDevice(device) {
+    return this.__queue.add(async () => {
+      this.debug(`Initializing Device for ${device.name} (${device.id})`);
 
-          if (device.capabilitiesObj?.alarm_contact) { // TODO: See this working in Apple Home
-            const endpoint = new Endpoint(ContactSensorDevice.with(BooleanStateServer), {
-              id: 'alarm_contact',
-              booleanState: {
-                stateValue: device.capabilitiesObj?.alarm_contact?.value === false,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('alarm_contact', async value => {
-              await endpoint.set({
-                booleanState: {
-                  stateValue: value === false,
-                },
-              });
-            });
-          }
+      const deviceEndpoint = this.deviceEndpoints[device.id];
+      if (!deviceEndpoint) {
+        throw new Error(`Device Endpoint for device ${device.id} not found during initialization`);
+      }
 
-          if (device.capabilitiesObj?.alarm_smoke) {
-            const endpoint = new Endpoint(SmokeCoAlarmDevice.with(SmokeCoAlarmServer.with('SmokeAlarm')), {
-              id: 'alarm_smoke',
-              smokeCoAlarm: {
-                smokeState: device.capabilitiesObj?.alarm_smoke?.value === true
-                  ? SmokeCoAlarm.AlarmState.Critical
-                  : SmokeCoAlarm.AlarmState.Normal,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('alarm_smoke', async value => {
-              await endpoint.set({
-                smokeCoAlarm: {
-                  smokeState: value === true
-                    ? SmokeCoAlarm.AlarmState.Critical
-                    : SmokeCoAlarm.AlarmState.Normal,
-                },
-              });
-            });
-          }
+      // Check if this device is already initialized
+      if (this.deviceEndpointInstances[device.id]) {
+        this.debug(`Device ${device.name} (${device.id}) is already initialized`);
+        return;
+      }
 
-          break;
-        }
-        default: {
-          // If the device has an onoff capability, add it as an OnOffPlugInUnitDevice.
-          if (device.capabilitiesObj?.onoff) {
-            class HomeyOnOffServer extends OnOffServer {
-              async on() {
-                await device.setCapabilityValue({
-                  capabilityId: 'onoff',
-                  value: true,
-                })
-              }
-
-              async off() {
-                await device.setCapabilityValue({
-                  capabilityId: 'onoff',
-                  value: false,
-                });
-              }
-            }
-
-            const endpoint = new Endpoint(OnOffPlugInUnitDevice.with(HomeyOnOffServer), {
-              id: 'main',
-              onOff: {
-                onOff: device.capabilitiesObj?.onoff?.value ?? false,
-              },
-            });
-            await registerEndpoint(endpoint);
-
-            makeCapabilityInstance('onoff', async value => {
-              await endpoint.set({
-                onOff: {
-                  onOff: value ?? false,
-                },
-              });
-            });
-          }
+      // Remember the device's shape, to detect when the endpoints need to be rebuilt
+      this.deviceSignatures[device.id] = getDeviceSignature(device);
 
-          break;
+      // Get the device's override, which forces a mapping
+      const override = this.deviceOverrides[device.id];
+
+      // Link the Bridged Node's behaviors that were added by Mappers in __initEndpoint.
+      // Their state is reset first, because the Bridged Node is kept when the device's capabilities change.
+      for (const { mapper, endpoint: endpointDefinition } of this.mapperRegistry.getEndpoints(device, { bridgedNode: true, override })) {
+        const { behaviors = [] } = endpointDefinition;
+        if (!behaviors.every(behavior => deviceEndpoint.behaviors.has(behavior))) {
+          this.__setEndpointError(device, endpointDefinition.id, new Error('The device must be re-enabled to add this endpoint'));
+          this.debug(`Skipping ${mapper.id} for ${device.name} (${device.id}), because the device must be re-enabled to add it`);
+          continue;
         }
+
+        await Promise.resolve().then(async () => {
+          await deviceEndpoint.set(getInitialState(device, endpointDefinition));
+          await this.__linkEndpoint({
+            device,
+            endpoint: deviceEndpoint,
+            endpointDefinition,
+          });
+        }).catch(err => {
+          this.__setEndpointError(device, endpointDefinition.id, err);
+          this.debug(`Error linking ${mapper.id} for device ${device.id}: ${err.message}`);
+        });
       }
+
+      // Add Matter Endpoints based on the Mappers that match the device class and capabilities
+      for (const { mapper, endpoint: endpointDefinition } of this.mapperRegistry.getEndpoints(device, { override })) {
+        await this.__initMapperEndpoint({
+          device,
+          deviceEndpoint,
+          endpointDefinition,
+        }).catch(err => {
+          this.__setEndpointError(device, endpointDefinition.id, err);
+          this.debug(`Error initializing endpoint ${endpointDefinition.id} (${mapper.id}) for device ${device.id}: ${err.message}`);
+        });
+      }
+    });
+  }
+
+  async __initMapperEndpoint({
+    device,
+    deviceEndpoint,
+    endpointDefinition,
+  }) {
+    const {
+      id,
+      deviceType,
+      behaviors = [],
+    } = endpointDefinition;
+
+    const endpoint = new Endpoint(deviceType.with(...behaviors), {
+      id,
+      ...getInitialState(device, endpointDefinition),
+    });
+    await deviceEndpoint.add(endpoint);
+
+    this.deviceEndpointInstances[device.id] = this.deviceEndpointInstances[device.id] || new Set();
+    this.deviceEndpointInstances[device.id].add(endpoint);
+
+    await this.__linkEndpoint({
+      device,
+      endpoint,
+      endpointDefinition,
+    });
+  }
+
+  // Keep the endpoint's state in sync with the device's capability values.
+  async __linkEndpoint({
+    device,
+    endpoint,
+    endpointDefinition,
+  }) {
+    const {
+      id,
+      capabilities = {},
+      events = {},
+      onInit,
+    } = endpointDefinition;
+
+    // Create a Capability Instance per converter, and store a reference to destroy it on uninitialization.
+    for (const [capabilityId, toMatter] of Object.entries(capabilities)) {
+      if (!device.capabilitiesObj?.[capabilityId]) continue;
+
+      this.deviceCapabilityInstances[device.id] = this.deviceCapabilityInstances[device.id] || {};
+      this.deviceCapabilityInstances[device.id][id] = this.deviceCapabilityInstances[device.id][id] || {};
+      if (this.deviceCapabilityInstances[device.id][id][capabilityId]) continue;
+
+      this.deviceCapabilityInstances[device.id][id][capabilityId] = device.makeCapabilityInstance(capabilityId, value => {
+        Promise.resolve().then(async () => {
+          await endpoint.set(toMatter(value));
+        }).catch(err => {
+          this.__setCapabilityError(device, id, capabilityId, err);
+          this.debug(`Error in capability instance callback for device ${device.id} capability ${capabilityId}: ${err.message}`);
+        });
+      });
+    }
+
+    // Listen for events, and emit an event for every report of a capability with the same ID.
+    for (const [eventId, onEvent] of Object.entries(events)) {
+      this.deviceEventListeners[device.id] = this.deviceEventListeners[device.id] || {};
+      this.deviceEventListeners[device.id][eventId] = this.deviceEventListeners[device.id][eventId] || [];
+      this.deviceEventListeners[device.id][eventId].push(async data => {
+        await onEvent(endpoint, data);
+      });
+
+      if (!device.capabilitiesObj?.[eventId]) continue;
+
+      this.deviceCapabilityInstances[device.id] = this.deviceCapabilityInstances[device.id] || {};
+      this.deviceCapabilityInstances[device.id][id] = this.deviceCapabilityInstances[device.id][id] || {};
+      if (this.deviceCapabilityInstances[device.id][id][eventId]) continue;
+
+      this.deviceCapabilityInstances[device.id][id][eventId] = device.makeCapabilityInstance(eventId, value => {
+        this.emitDeviceEvent({
+          deviceId: device.id,
+          eventId,
+          data: { value },
+        }).catch(err => {
+          this.__setCapabilityError(device, id, eventId, err);
+          this.debug(`Error emitting event ${eventId} for device ${device.id}: ${err.message}`);
+        });
+      });
+    }
+
+    if (typeof onInit === 'function') {
+      await onInit(endpoint);
+    }
+  }
+
+  async __uninitDevice(device) {
+    return this.__queue.add(async () => {
+      this.debug(`Uninitializing Device for ${device.name} (${device.id})`);
+
+      // Delete the Matter Endpoints, but keep the Bridged Node so controllers keep e.g. the room assignment
+      for (const endpoint of this.deviceEndpointInstances[device.id] ?? []) {
+        await endpoint.delete();
+      }
+
+      this.__unlinkDevice(device);
+
+      delete this.deviceEndpointInstances[device.id];
+      delete this.deviceSignatures[device.id];
+      delete this.deviceEndpointErrors[device.id];
     });
   }
 
@@ -1296,11 +1105,48 @@ export default class MatterBridgeServer {
 
       // Delete the Matter Device Endpoint
       await deviceEndpoint.delete();
+      delete this.deviceEndpoints[device.id];
+      delete this.deviceBridgedNodeSignatures[device.id];
+
+      this.__unlinkDevice(device);
 
       delete this.deviceEndpointInstances[device.id];
+      delete this.deviceSignatures[device.id];
+      delete this.deviceEndpointErrors[device.id];
+      delete this.deviceCapabilityErrors[device.id];
     });
   }
 
+  __unlinkDevice(device) {
+    for (const capabilityInstances of Object.values(this.deviceCapabilityInstances[device.id] ?? {})) {
+      for (const capabilityInstance of Object.values(capabilityInstances)) {
+        capabilityInstance.destroy();
+      }
+    }
+
+    delete this.deviceCapabilityInstances[device.id];
+    delete this.deviceEventListeners[device.id];
+  }
+
+  __setEndpointError(device, endpointId, err) {
+    this.deviceEndpointErrors[device.id] = this.deviceEndpointErrors[device.id] || {};
+    this.deviceEndpointErrors[device.id][endpointId] = err.message;
+  }
+
+  __setCapabilityError(device, endpointId, capabilityId, err) {
+    this.deviceCapabilityErrors[device.id] = {
+      endpointId,
+      capabilityId,
+      message: err.message,
+      date: new Date().toISOString(),
+    };
+  }
+
+  __addApiListener(manager, event, listener) {
+    manager.on(event, listener);
+    this.__apiListeners.push([manager, event, listener]);
+  }
+
   pauseQueue() {
     this.__queue.pause();
   }
@@ -1311,17 +1157,40 @@ export default class MatterBridgeServer {
 
 }
 
-function scaleNumber(value, minInput, maxInput, minOutput, maxOutput) {
-  const scaledValue = ((value - minInput) / (maxInput - minInput)) * (maxOutput - minOutput) + minOutput;
-  return Math.min(Math.max(scaledValue, minOutput), maxOutput);
+// Convert the current capability values to the initial state of an endpoint.
+function getInitialState(device, {
+  state = {},
+  capabilities = {},
+}) {
+  const endpointState = mergeState({}, state);
+  for (const [capabilityId, toMatter] of Object.entries(capabilities)) {
+    if (!device.capabilitiesObj?.[capabilityId]) continue;
+    mergeState(endpointState, toMatter(device.capabilitiesObj[capabilityId].value));
+  }
+
+  return endpointState;
 }
 
-function scaleAndRoundNumber(...props) {
-  return Math.round(scaleNumber(...props));
+// A device's endpoints depend on its class and the set of capabilities.
+function getDeviceSignature(device) {
+  const capabilityIds = Object.keys(device.capabilitiesObj ?? {}).sort();
+  return [device.virtualClass || device.class, ...capabilityIds].join(',');
 }
 
-function ellipseString(value, maxLength = 32) {
-  if (typeof value !== 'string') return null;
-  if (value.length > maxLength) return value.substring(0, maxLength - 3) + '…';
-  return value;
+// The capabilities of the device that an endpoint converts or emits events for.
+function getEndpointCapabilityIds(device, endpointDefinition) {
+  return [
+    ...Object.keys(endpointDefinition.capabilities ?? {}),
+    ...Object.keys(endpointDefinition.events ?? {}),
+  ].filter(capabilityId => device.capabilitiesObj?.[capabilityId]);
+}
+
+// The Fixed Label cluster's 'room' label is a hint for controllers that support it, to place the device in a room.
+function getRoomLabelList(zoneName) {
+  if (typeof zoneName !== 'string') return [];
+
+  return [{
+    label: 'room',
+    value: ellipseString(zoneName, 16),
+  }];
 }
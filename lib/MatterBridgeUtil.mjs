@@ -0,0 +1,217 @@
+import crypto from 'node:crypto';
+
+export function scaleNumber(value, minInput, maxInput, minOutput, maxOutput) {
+  const scaledValue = ((value - minInput) / (maxInput - minInput)) * (maxOutput - minOutput) + minOutput;
+  return Math.min(Math.max(scaledValue, minOutput), maxOutput);
+}
+
+export function scaleAndRoundNumber(...props) {
+  return Math.round(scaleNumber(...props));
+}
+
+export function ellipseString(value, maxLength = 32) {
+  if (typeof value !== 'string') return null;
+  if (value.length > maxLength) return value.substring(0, maxLength - 3) + '…';
+  return value;
+}
+
+// Passcodes that are too easy to guess are not allowed by the Matter specification.
+const INVALID_PASSCODES = new Set([
+  0, 11111111, 22222222, 33333333, 44444444, 55555555,
+  66666666, 77777777, 88888888, 99999999, 12345678, 87654321,
+]);
+
+export function generatePasscode() {
+  let passcode;
+  do {
+    passcode = crypto.randomInt(1, 99999999);
+  } while (INVALID_PASSCODES.has(passcode));
+  return passcode;
+}
+
+export function isValidPasscode(passcode) {
+  return Number.isInteger(passcode)
+    && passcode > 0
+    && passcode < 99999999
+    && !INVALID_PASSCODES.has(passcode);
+}
+
+// Discriminators are 12 bits.
+export function generateDiscriminator() {
+  return crypto.randomInt(0, 4096);
+}
+
+export function isValidDiscriminator(discriminator) {
+  return Number.isInteger(discriminator)
+    && discriminator >= 0
+    && discriminator < 4096;
+}
+
+// Vendor IDs above 0xFFF4 are reserved. 0xFFF1–0xFFF4 are for testing.
+export function isValidVendorId(vendorId) {
+  return Number.isInteger(vendorId)
+    && vendorId > 0
+    && vendorId <= 0xFFF4;
+}
+
+export function isValidProductId(productId) {
+  return Number.isInteger(productId)
+    && productId > 0
+    && productId <= 0xFFFF;
+}
+
+export function isValidPort(port) {
+  return Number.isInteger(port)
+    && port > 0
+    && port <= 65535;
+}
+
+// Lights range from candlelight to daylight, and Matter's color temperature is in mireds (1,000,000 / Kelvin).
+const MIN_COLOR_TEMPERATURE = 1000;
+const MAX_COLOR_TEMPERATURE = 20000;
+
+// A device override is { class?: String, capabilities?: [String], colorTemperature?: { min: Number, max: Number } },
+// where the color temperature range is in Kelvin. Returns null when nothing is overridden.
+export function validateDeviceOverride(override) {
+  if (override === null || override === undefined) return null;
+
+  if (!isPlainObject(override)) {
+    throw new Error('Invalid Override: Must be an object');
+  }
+
+  const {
+    class: deviceClass = null,
+    capabilities = null,
+    colorTemperature = null,
+    ...rest
+  } = override;
+
+  if (Object.keys(rest).length > 0) {
+    throw new Error(`Invalid Override: Unknown properties ${Object.keys(rest).join(', ')}`);
+  }
+
+  if (deviceClass !== null && typeof deviceClass !== 'string') {
+    throw new Error('Invalid Override: class must be a string');
+  }
+
+  if (capabilities !== null && (!Array.isArray(capabilities) || capabilities.some(capabilityId => typeof capabilityId !== 'string'))) {
+    throw new Error('Invalid Override: capabilities must be an array of strings');
+  }
+
+  if (colorTemperature !== null && (!isPlainObject(colorTemperature)
+    || !Number.isInteger(colorTemperature.min)
+    || !Number.isInteger(colorTemperature.max)
+    || colorTemperature.min < MIN_COLOR_TEMPERATURE
+    || colorTemperature.max > MAX_COLOR_TEMPERATURE
+    || colorTemperature.min >= colorTemperature.max)) {
+    throw new Error(`Invalid Override: colorTemperature must have a min and max between ${MIN_COLOR_TEMPERATURE} and ${MAX_COLOR_TEMPERATURE} Kelvin`);
+  }
+
+  if (deviceClass === null && capabilities === null && colorTemperature === null) return null;
+
+  return {
+    class: deviceClass,
+    capabilities,
+    colorTemperature: colorTemperature && {
+      min: colorTemperature.min,
+      max: colorTemperature.max,
+    },
+  };
+}
+
+// An expose rule is { zone?: String, includeSubZones?: Boolean, class?: String, capabilities?: [String] }.
+// A device matches when it matches every criterion, so a rule needs at least one.
+export function validateExposeRule(rule) {
+  if (!isPlainObject(rule)) {
+    throw new Error('Invalid Rule: Must be an object');
+  }
+
+  const {
+    zone = null,
+    includeSubZones = false,
+    class: deviceClass = null,
+    capabilities = null,
+    ...rest
+  } = rule;
+
+  if (Object.keys(rest).length > 0) {
+    throw new Error(`Invalid Rule: Unknown properties ${Object.keys(rest).join(', ')}`);
+  }
+
+  if (zone !== null && typeof zone !== 'string') {
+    throw new Error('Invalid Rule: zone must be a string');
+  }
+
+  if (typeof includeSubZones !== 'boolean') {
+    throw new Error('Invalid Rule: includeSubZones must be a boolean');
+  }
+
+  if (deviceClass !== null && typeof deviceClass !== 'string') {
+    throw new Error('Invalid Rule: class must be a string');
+  }
+
+  if (capabilities !== null && (!Array.isArray(capabilities) || capabilities.some(capabilityId => typeof capabilityId !== 'string'))) {
+    throw new Error('Invalid Rule: capabilities must be an array of strings');
+  }
+
+  if (zone === null && deviceClass === null && !capabilities?.length) {
+    throw new Error('Invalid Rule: Must have a zone, class or capabilities');
+  }
+
+  return {
+    zone,
+    includeSubZones,
+    class: deviceClass,
+    capabilities: capabilities?.length ? capabilities : null,
+  };
+}
+
+// Zones are an object of { [zoneId]: { parent } }, to match sub-zones.
+export function matchesExposeRule(device, rule, zones = {}) {
+  if (rule.class !== null && (device.virtualClass || device.class) !== rule.class) return false;
+  if (rule.capabilities !== null && !rule.capabilities.every(capabilityId => device.capabilitiesObj?.[capabilityId])) return false;
+
+  if (rule.zone !== null) {
+    let zoneId = device.zone;
+    while (zoneId && zoneId !== rule.zone) {
+      zoneId = rule.includeSubZones
+        ? zones[zoneId]?.parent
+        : null;
+    }
+    if (zoneId !== rule.zone) return false;
+  }
+
+  return true;
+}
+
+// Matter devices and grouped devices can't be bridged.
+export function isBridgeableDevice(device) {
+  if (device.flags?.includes('matter')) return false;
+  if (device.driverId === 'homey:virtualdrivergroup:driver') return false;
+  return true;
+}
+
+// Merge plain objects recursively. Arrays and other values are overwritten.
+export function mergeState(target = {}, ...sources) {
+  for (const source of sources) {
+    if (!isPlainObject(source)) continue;
+
+    for (const [key, value] of Object.entries(source)) {
+      if (isPlainObject(value) && isPlainObject(target[key])) {
+        mergeState(target[key], value);
+      } else if (isPlainObject(value)) {
+        target[key] = mergeState({}, value);
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+
+  return target;
+}
+
+function isPlainObject(value) {
+  return value !== null
+    && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype;
+}
@@ -0,0 +1,25 @@
+import {
+  ContactSensorDevice,
+} from '@matter/main/devices';
+import {
+  BooleanStateServer,
+} from '@matter/main/behaviors';
+
+// TODO: See this working in Apple Home
+export default {
+  id: 'alarm_contact',
+  classes: ['sensor'],
+  capabilities: ['alarm_contact'],
+  getEndpoints: () => [{
+    id: 'alarm_contact',
+    deviceType: ContactSensorDevice,
+    behaviors: [BooleanStateServer],
+    capabilities: {
+      alarm_contact: value => ({
+        booleanState: {
+          stateValue: value === false,
+        },
+      }),
+    },
+  }],
+};
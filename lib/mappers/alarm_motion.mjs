@@ -0,0 +1,29 @@
+import {
+  OccupancySensing,
+} from '@matter/main/clusters';
+import {
+  OccupancySensorDevice,
+} from '@matter/main/devices';
+import {
+  OccupancySensingServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'alarm_motion',
+  classes: ['sensor'],
+  capabilities: ['alarm_motion'],
+  getEndpoints: () => [{
+    id: 'alarm_motion',
+    deviceType: OccupancySensorDevice,
+    behaviors: [OccupancySensingServer.with(OccupancySensing.Feature.PassiveInfrared)],
+    capabilities: {
+      alarm_motion: value => ({
+        occupancySensing: {
+          occupancy: {
+            occupied: value === true,
+          },
+        },
+      }),
+    },
+  }],
+};
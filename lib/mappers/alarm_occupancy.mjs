@@ -0,0 +1,29 @@
+import {
+  OccupancySensing,
+} from '@matter/main/clusters';
+import {
+  OccupancySensorDevice,
+} from '@matter/main/devices';
+import {
+  OccupancySensingServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'alarm_occupancy',
+  classes: ['sensor'],
+  capabilities: ['alarm_occupancy'],
+  getEndpoints: () => [{
+    id: 'alarm_occupancy',
+    deviceType: OccupancySensorDevice,
+    behaviors: [OccupancySensingServer.with(OccupancySensing.Feature.Ultrasonic)],
+    capabilities: {
+      alarm_occupancy: value => ({
+        occupancySensing: {
+          occupancy: {
+            occupied: value === true,
+          },
+        },
+      }),
+    },
+  }],
+};
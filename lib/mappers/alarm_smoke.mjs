@@ -0,0 +1,29 @@
+import {
+  SmokeCoAlarm,
+} from '@matter/main/clusters';
+import {
+  SmokeCoAlarmDevice,
+} from '@matter/main/devices';
+import {
+  SmokeCoAlarmServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'alarm_smoke',
+  classes: ['sensor'],
+  capabilities: ['alarm_smoke'],
+  getEndpoints: () => [{
+    id: 'alarm_smoke',
+    deviceType: SmokeCoAlarmDevice,
+    behaviors: [SmokeCoAlarmServer.with('SmokeAlarm')],
+    capabilities: {
+      alarm_smoke: value => ({
+        smokeCoAlarm: {
+          smokeState: value === true
+            ? SmokeCoAlarm.AlarmState.Critical
+            : SmokeCoAlarm.AlarmState.Normal,
+        },
+      }),
+    },
+  }],
+};
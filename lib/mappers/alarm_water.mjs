@@ -0,0 +1,24 @@
+import {
+  WaterLeakDetectorDevice,
+} from '@matter/main/devices';
+import {
+  BooleanStateServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'alarm_water',
+  classes: ['sensor'],
+  capabilities: ['alarm_water'],
+  getEndpoints: () => [{
+    id: 'alarm_water',
+    deviceType: WaterLeakDetectorDevice,
+    behaviors: [BooleanStateServer],
+    capabilities: {
+      alarm_water: value => ({
+        booleanState: {
+          stateValue: value === true, // True means a leak has been detected
+        },
+      }),
+    },
+  }],
+};
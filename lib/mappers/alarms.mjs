@@ -0,0 +1,33 @@
+import {
+  ContactSensorDevice,
+} from '@matter/main/devices';
+import {
+  BooleanStateServer,
+} from '@matter/main/behaviors';
+
+// Matter has no device type for these alarms, so each is exposed as a Contact Sensor that opens when the alarm is active.
+function makeContactSensorAlarmMapper(capabilityId, { optIn = false } = {}) {
+  return {
+    id: capabilityId,
+    classes: ['sensor'],
+    capabilities: [capabilityId],
+    optIn,
+    getEndpoints: () => [{
+      id: capabilityId,
+      deviceType: ContactSensorDevice,
+      behaviors: [BooleanStateServer],
+      capabilities: {
+        [capabilityId]: value => ({
+          booleanState: {
+            stateValue: value !== true,
+          },
+        }),
+      },
+    }],
+  };
+}
+
+// Most devices with a tamper alarm are e.g. motion or contact sensors, which would get a confusing second contact sensor.
+export const alarmTamper = makeContactSensorAlarmMapper('alarm_tamper', { optIn: true });
+export const alarmHeat = makeContactSensorAlarmMapper('alarm_heat');
+export const alarmGeneric = makeContactSensorAlarmMapper('alarm_generic');
@@ -0,0 +1,66 @@
+import {
+  PowerSource,
+} from '@matter/main/clusters';
+import {
+  PowerSourceServer,
+} from '@matter/main/behaviors';
+
+import { getCapabilityValues, makeCombinedConverters } from './behaviors.mjs';
+
+// Below these percentages, the battery is reported as Critical or Warning.
+const BATTERY_CRITICAL = 10;
+const BATTERY_WARNING = 20;
+
+// Adds a Power Source to every Bridged Node, because behaviors can't be added to it once it's been added,
+// e.g. when a device reports its battery later. Devices without a battery report it as unavailable.
+export default {
+  id: 'battery',
+  bridgedNode: true,
+  getEndpoints: ({ device }) => {
+    const hasBattery = !!(device.capabilitiesObj?.measure_battery || device.capabilitiesObj?.alarm_battery);
+
+    // Convert the combined Homey state to the Matter state
+    const capabilityIds = ['measure_battery', 'alarm_battery'];
+    const toMatter = ({
+      measure_battery: measureBattery,
+      alarm_battery: alarmBattery,
+    }) => {
+      const hasPercentage = typeof measureBattery === 'number';
+
+      const batChargeLevel = (() => {
+        if (hasPercentage && measureBattery <= BATTERY_CRITICAL) return PowerSource.BatChargeLevel.Critical;
+        if (hasPercentage && measureBattery <= BATTERY_WARNING) return PowerSource.BatChargeLevel.Warning;
+        if (alarmBattery === true) return PowerSource.BatChargeLevel.Warning;
+        return PowerSource.BatChargeLevel.Ok;
+      })();
+
+      return {
+        powerSource: {
+          status: hasBattery
+            ? PowerSource.PowerSourceStatus.Active
+            : PowerSource.PowerSourceStatus.Unavailable,
+          batChargeLevel,
+          batReplacementNeeded: batChargeLevel !== PowerSource.BatChargeLevel.Ok,
+          batPercentRemaining: hasPercentage
+            ? Math.round(Math.min(Math.max(measureBattery, 0), 100) * 2) // Matter uses half-percent steps
+            : null,
+        },
+      };
+    };
+
+    return [{
+      id: 'battery',
+      behaviors: [PowerSourceServer.with(PowerSource.Feature.Battery)],
+      state: {
+        powerSource: {
+          order: 0,
+          description: 'Battery',
+          batReplaceability: PowerSource.BatReplaceability.Unspecified,
+          endpointList: [],
+          ...toMatter(getCapabilityValues(device, capabilityIds)).powerSource,
+        },
+      },
+      capabilities: makeCombinedConverters(device, capabilityIds, toMatter),
+    }];
+  },
+};
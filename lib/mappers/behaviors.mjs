@@ -0,0 +1,50 @@
+import {
+  OnOffServer,
+} from '@matter/main/behaviors';
+
+// Shared Behaviors & converters, used by multiple Mappers.
+
+export function makeHomeyOnOffServer(device, capabilityId = 'onoff') {
+  return class HomeyOnOffServer extends OnOffServer {
+    async on() {
+      await device.setCapabilityValue({
+        capabilityId,
+        value: true,
+      });
+    }
+
+    async off() {
+      await device.setCapabilityValue({
+        capabilityId,
+        value: false,
+      });
+    }
+  };
+}
+
+// The values of capabilities that are converted to Matter together, by capability ID. A reported value is passed
+// as a changed value, because the device's capabilitiesObj might not be updated yet when the report is received.
+export function getCapabilityValues(device, capabilityIds, changedValues = {}) {
+  return Object.fromEntries(capabilityIds.map(capabilityId => [
+    capabilityId,
+    capabilityId in changedValues
+      ? changedValues[capabilityId]
+      : device.capabilitiesObj?.[capabilityId]?.value,
+  ]));
+}
+
+// Converters for capabilities that are converted to Matter together, e.g. a fan's onoff & dim.
+export function makeCombinedConverters(device, capabilityIds, toMatter) {
+  return Object.fromEntries(capabilityIds.map(capabilityId => [
+    capabilityId,
+    value => toMatter(getCapabilityValues(device, capabilityIds, { [capabilityId]: value })),
+  ]));
+}
+
+export function onOffToMatter(value) {
+  return {
+    onOff: {
+      onOff: value ?? false,
+    },
+  };
+}
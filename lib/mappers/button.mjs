@@ -0,0 +1,83 @@
+import {
+  Switch,
+} from '@matter/main/clusters';
+import {
+  GenericSwitchDevice,
+} from '@matter/main/devices';
+import {
+  SwitchServer,
+} from '@matter/main/behaviors';
+
+// Maintenance buttons (e.g. button.reset_meter) are not real buttons.
+const isButton = capability => !!capability && capability.maintenanceAction !== true;
+
+// Emit the Matter events of a momentary switch, in the order a physical switch would.
+async function emitPresses(endpoint, {
+  presses = 1,
+  long = false,
+} = {}) {
+  await endpoint.act(agent => {
+    for (let i = 1; i <= presses; i++) {
+      agent.switch.state.currentPosition = 1;
+      agent.switch.events.initialPress.emit({ newPosition: 1 }, agent.context);
+
+      if (long) {
+        agent.switch.events.longPress.emit({ newPosition: 1 }, agent.context);
+      }
+
+      if (i > 1) {
+        agent.switch.events.multiPressOngoing.emit({ newPosition: 1, currentNumberOfPressesCounted: i }, agent.context);
+      }
+
+      agent.switch.state.currentPosition = 0;
+      if (long) {
+        agent.switch.events.longRelease.emit({ previousPosition: 1 }, agent.context);
+      } else {
+        agent.switch.events.shortRelease.emit({ previousPosition: 1 }, agent.context);
+      }
+    }
+
+    if (!long) {
+      agent.switch.events.multiPressComplete.emit({ previousPosition: 1, totalNumberOfPressesCounted: presses }, agent.context);
+    }
+  });
+}
+
+// Buttons & remotes have no state, so they are exposed as a Generic Switch that emits events.
+// Every button.* sub-capability is mapped as a channel, and other channels (e.g. alarm_battery.x) aren't buttons.
+// Devices without button capabilities only emit events when triggered by MatterBridgeServer.emitDeviceEvent(), e.g. from a Flow.
+export default {
+  id: 'button',
+  classes: ['button', 'remote'],
+  match: ({ device, channel }) => {
+    if (device.capabilitiesObj?.button) return isButton(device.capabilitiesObj.button);
+    if (channel) return false;
+    return !Object.entries(device.capabilitiesObj ?? {})
+      .some(([capabilityId, capability]) => capabilityId.startsWith('button.') && isButton(capability));
+  },
+  getEndpoints: () => [{
+    id: 'main',
+    deviceType: GenericSwitchDevice,
+    behaviors: [
+      SwitchServer.with(
+        Switch.Feature.MomentarySwitch,
+        Switch.Feature.MomentarySwitchRelease,
+        Switch.Feature.MomentarySwitchLongPress,
+        Switch.Feature.MomentarySwitchMultiPress,
+      ),
+    ],
+    state: {
+      switch: {
+        numberOfPositions: 2,
+        currentPosition: 0,
+        multiPressMax: 2,
+      },
+    },
+    events: {
+      button: endpoint => emitPresses(endpoint),
+      press: endpoint => emitPresses(endpoint),
+      double_press: endpoint => emitPresses(endpoint, { presses: 2 }),
+      long_press: endpoint => emitPresses(endpoint, { long: true }),
+    },
+  }],
+};
@@ -0,0 +1,111 @@
+import {
+  ElectricalPowerMeasurement,
+  ElectricalEnergyMeasurement,
+  PowerTopology,
+} from '@matter/main/clusters';
+import {
+  ElectricalSensorEndpoint,
+} from '@matter/main/endpoints';
+import {
+  PowerTopologyServer,
+  ElectricalPowerMeasurementServer,
+  ElectricalEnergyMeasurementServer,
+} from '@matter/main/behaviors';
+import {
+  MeasurementType,
+} from '@matter/main/types';
+
+function makeAccuracy(measurementType) {
+  return {
+    measurementType,
+    measured: true,
+    minMeasuredValue: Number.MIN_SAFE_INTEGER,
+    maxMeasuredValue: Number.MAX_SAFE_INTEGER,
+    accuracyRanges: [
+      {
+        rangeMin: Number.MIN_SAFE_INTEGER,
+        rangeMax: Number.MAX_SAFE_INTEGER,
+        fixedMax: 1,
+      },
+    ],
+  };
+}
+
+// Adds an Electrical Sensor to any device that measures power, voltage, current or energy.
+export default {
+  id: 'energy',
+  capabilities: ['measure_power', 'measure_voltage', 'measure_current', 'meter_power'],
+  getEndpoints: ({ device }) => {
+    const endpoint = {
+      id: 'energy',
+      deviceType: ElectricalSensorEndpoint,
+      behaviors: [PowerTopologyServer.with(PowerTopology.Feature.NodeTopology)],
+      state: {},
+      capabilities: {},
+    };
+
+    const powerMeasurementTypes = [];
+
+    if (device.capabilitiesObj?.measure_power) {
+      powerMeasurementTypes.push(MeasurementType.ActivePower);
+      endpoint.capabilities.measure_power = value => ({
+        electricalPowerMeasurement: {
+          activePower: typeof value === 'number'
+            ? Math.round(value * 1000) // W to mW
+            : null,
+        },
+      });
+    }
+
+    if (device.capabilitiesObj?.measure_voltage) {
+      powerMeasurementTypes.push(MeasurementType.Voltage);
+      endpoint.capabilities.measure_voltage = value => ({
+        electricalPowerMeasurement: {
+          voltage: typeof value === 'number'
+            ? Math.round(value * 1000) // V to mV
+            : null,
+        },
+      });
+    }
+
+    if (device.capabilitiesObj?.measure_current) {
+      powerMeasurementTypes.push(MeasurementType.ActiveCurrent);
+      endpoint.capabilities.measure_current = value => ({
+        electricalPowerMeasurement: {
+          activeCurrent: typeof value === 'number'
+            ? Math.round(value * 1000) // A to mA
+            : null,
+        },
+      });
+    }
+
+    if (powerMeasurementTypes.length > 0) {
+      endpoint.behaviors.push(ElectricalPowerMeasurementServer);
+      endpoint.state.electricalPowerMeasurement = {
+        powerMode: ElectricalPowerMeasurement.PowerMode.Unknown,
+        numberOfMeasurementTypes: powerMeasurementTypes.length,
+        accuracy: powerMeasurementTypes.map(makeAccuracy),
+        activePower: null, // Mandatory, even when the device doesn't measure power
+      };
+    }
+
+    if (device.capabilitiesObj?.meter_power) {
+      endpoint.behaviors.push(ElectricalEnergyMeasurementServer.with(
+        ElectricalEnergyMeasurement.Feature.ImportedEnergy,
+        ElectricalEnergyMeasurement.Feature.CumulativeEnergy,
+      ));
+      endpoint.state.electricalEnergyMeasurement = {
+        accuracy: makeAccuracy(MeasurementType.ElectricalEnergy),
+      };
+      endpoint.capabilities.meter_power = value => ({
+        electricalEnergyMeasurement: {
+          cumulativeEnergyImported: typeof value === 'number'
+            ? { energy: Math.round(value * 1000000) } // kWh to mWh
+            : null,
+        },
+      });
+    }
+
+    return [endpoint];
+  },
+};
@@ -0,0 +1,146 @@
+import {
+  FanControl,
+} from '@matter/main/clusters';
+import {
+  FanDevice,
+} from '@matter/main/devices';
+import {
+  FanControlServer,
+} from '@matter/main/behaviors';
+
+import { makeHomeyOnOffServer, makeCombinedConverters } from './behaviors.mjs';
+
+const FAN_MODE_TO_PERCENT = {
+  [FanControl.FanMode.Low]: 33,
+  [FanControl.FanMode.Medium]: 66,
+  [FanControl.FanMode.High]: 100,
+};
+
+function percentToFanMode(percent) {
+  if (percent <= 0) return FanControl.FanMode.Off;
+  if (percent <= 33) return FanControl.FanMode.Low;
+  if (percent <= 66) return FanControl.FanMode.Medium;
+  return FanControl.FanMode.High;
+}
+
+export default {
+  id: 'fan',
+  classes: ['fan'],
+  capabilities: ['onoff', 'fan_speed', 'dim'],
+  getEndpoints: ({ device }) => {
+    // Prefer a dedicated speed capability, but most fan drivers use dim.
+    const speedCapabilityId = ['fan_speed', 'dim'].find(capabilityId => device.capabilitiesObj?.[capabilityId]) ?? null;
+    const hasOnOff = !!device.capabilitiesObj?.onoff;
+
+    // Convert the combined Homey state to the Matter state
+    const toMatter = ({
+      onoff,
+      [speedCapabilityId]: speed,
+    }) => {
+      const isOn = hasOnOff
+        ? onoff === true
+        : typeof speed === 'number' && speed > 0;
+
+      const percent = isOn
+        ? typeof speed === 'number' ? Math.round(speed * 100) : 100
+        : 0;
+
+      const state = {
+        fanControl: {
+          fanMode: percentToFanMode(percent),
+          percentSetting: percent,
+          percentCurrent: percent,
+        },
+      };
+
+      if (hasOnOff) {
+        state.onOff = {
+          onOff: isOn,
+        };
+      }
+
+      return state;
+    };
+
+    const setSpeed = async percent => {
+      await Promise.all([
+        hasOnOff && device.setCapabilityValue({
+          capabilityId: 'onoff',
+          value: percent > 0,
+        }),
+        speedCapabilityId && percent > 0 && device.setCapabilityValue({
+          capabilityId: speedCapabilityId,
+          value: percent / 100,
+        }),
+        speedCapabilityId && !hasOnOff && percent === 0 && device.setCapabilityValue({
+          capabilityId: speedCapabilityId,
+          value: 0,
+        }),
+      ]);
+    };
+
+    const behaviors = [FanControlServer];
+    if (hasOnOff) {
+      behaviors.push(makeHomeyOnOffServer(device));
+    }
+
+    const capabilities = makeCombinedConverters(device, [
+      hasOnOff && 'onoff',
+      speedCapabilityId,
+    ].filter(Boolean), toMatter);
+
+    return [{
+      id: 'main',
+      deviceType: FanDevice,
+      behaviors,
+      state: {
+        fanControl: {
+          fanModeSequence: speedCapabilityId
+            ? FanControl.FanModeSequence.OffLowMedHigh
+            : FanControl.FanModeSequence.OffHigh,
+        },
+      },
+      capabilities,
+      onInit: async endpoint => {
+        // Only controllers' writes are sent to Homey. The bridge writes Homey's state in an offline context.
+        endpoint.events.fanControl.events.fanMode$Changing.on(async (value, oldValue, context) => {
+          if (context?.offline) return;
+
+          // A percentage that's written together with the mode is more precise, so that one is sent instead
+          const { percentSetting } = context.agentFor(endpoint).get(FanControlServer).state;
+          if (percentSetting !== endpoint.state.fanControl.percentSetting) return;
+
+          switch (value) {
+            case FanControl.FanMode.Off: {
+              await setSpeed(0);
+              break;
+            }
+            case FanControl.FanMode.Low:
+            case FanControl.FanMode.Medium:
+            case FanControl.FanMode.High: {
+              await setSpeed(speedCapabilityId ? FAN_MODE_TO_PERCENT[value] : 100);
+              break;
+            }
+            case FanControl.FanMode.On: {
+              if (hasOnOff) {
+                await device.setCapabilityValue({
+                  capabilityId: 'onoff',
+                  value: true,
+                });
+              } else {
+                await setSpeed(100);
+              }
+              break;
+            }
+          }
+        });
+
+        endpoint.events.fanControl.events.percentSetting$Changing.on(async (value, oldValue, context) => {
+          if (context?.offline) return;
+          if (typeof value !== 'number') return;
+          await setSpeed(value);
+        });
+      },
+    }];
+  },
+};
@@ -0,0 +1,90 @@
+import {
+  WindowCovering,
+} from '@matter/main/clusters';
+import {
+  ContactSensorDevice,
+  WindowCoveringDevice,
+} from '@matter/main/devices';
+import {
+  BooleanStateServer,
+  WindowCoveringServer,
+} from '@matter/main/behaviors';
+
+// Matter 1.4 has no garage door or gate device type, so they are exposed as a Window Covering that is either fully
+// open or closed, to control them. A Contact Sensor reports whether they're closed, e.g. for automations.
+// Controllers show the Window Covering as a shutter, until matter.js supports the Closure device types of Matter 1.5.
+export default {
+  id: 'garagedoor',
+  classes: ['garagedoor'],
+  capabilities: ['garagedoor_closed'],
+  getEndpoints: ({ device }) => {
+    const endpoints = [];
+
+    if (device.capabilitiesObj?.garagedoor_closed?.setable !== false) {
+      const setClosed = async closed => {
+        await device.setCapabilityValue({
+          capabilityId: 'garagedoor_closed',
+          value: closed,
+        });
+      };
+
+      class HomeyWindowCoveringServer extends WindowCoveringServer.with(
+        WindowCovering.Feature.Lift,
+        WindowCovering.Feature.PositionAwareLift,
+      ) {
+
+        async upOrOpen() {
+          await setClosed(false);
+        }
+
+        async downOrClose() {
+          await setClosed(true);
+        }
+
+        async stopMotion() {
+          // Homey can't stop a garage door
+        }
+
+        async goToLiftPercentage({ liftPercent100thsValue }) {
+          await setClosed(liftPercent100thsValue >= 5000);
+        }
+
+      }
+
+      endpoints.push({
+        id: 'main',
+        deviceType: WindowCoveringDevice,
+        behaviors: [HomeyWindowCoveringServer],
+        state: {
+          windowCovering: {
+            type: WindowCovering.WindowCoveringType.Shutter,
+            endProductType: WindowCovering.EndProductType.RollerShutter,
+          },
+        },
+        capabilities: {
+          garagedoor_closed: value => ({
+            windowCovering: {
+              currentPositionLiftPercent100ths: value === false ? 0 : 10000,
+              targetPositionLiftPercent100ths: value === false ? 0 : 10000,
+            },
+          }),
+        },
+      });
+    }
+
+    endpoints.push({
+      id: 'garagedoor_closed',
+      deviceType: ContactSensorDevice,
+      behaviors: [BooleanStateServer],
+      capabilities: {
+        garagedoor_closed: value => ({
+          booleanState: {
+            stateValue: value !== false,
+          },
+        }),
+      },
+    });
+
+    return endpoints;
+  },
+};
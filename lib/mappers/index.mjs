@@ -0,0 +1,56 @@
+import socket from './socket.mjs';
+import light from './light.mjs';
+import thermostat from './thermostat.mjs';
+import lock from './lock.mjs';
+import fan from './fan.mjs';
+import windowcoverings from './windowcoverings.mjs';
+import vacuumcleaner from './vacuumcleaner.mjs';
+import garagedoor from './garagedoor.mjs';
+import measureTemperature from './measure_temperature.mjs';
+import measureHumidity from './measure_humidity.mjs';
+import measureCo from './measure_co.mjs';
+import measureCo2 from './measure_co2.mjs';
+import measurePm10 from './measure_pm10.mjs';
+import measurePm25 from './measure_pm25.mjs';
+import measureLuminance from './measure_luminance.mjs';
+import alarmMotion from './alarm_motion.mjs';
+import alarmOccupancy from './alarm_occupancy.mjs';
+import alarmContact from './alarm_contact.mjs';
+import alarmSmoke from './alarm_smoke.mjs';
+import alarmWater from './alarm_water.mjs';
+import { alarmTamper, alarmHeat, alarmGeneric } from './alarms.mjs';
+import button from './button.mjs';
+import onoff from './onoff.mjs';
+import energy from './energy.mjs';
+import battery from './battery.mjs';
+
+// The order of the Mappers determines the order of the endpoints within a bridged device.
+export default [
+  socket,
+  light,
+  thermostat,
+  lock,
+  fan,
+  windowcoverings,
+  vacuumcleaner,
+  garagedoor,
+  measureTemperature,
+  measureHumidity,
+  measureCo,
+  measureCo2,
+  measurePm10,
+  measurePm25,
+  measureLuminance,
+  alarmMotion,
+  alarmOccupancy,
+  alarmContact,
+  alarmSmoke,
+  alarmWater,
+  alarmTamper,
+  alarmHeat,
+  alarmGeneric,
+  button,
+  onoff,
+  energy,
+  battery,
+];
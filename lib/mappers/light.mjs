@@ -0,0 +1,232 @@
+import {
+  ColorControl,
+} from '@matter/main/clusters';
+import {
+  OnOffLightDevice,
+  DimmableLightDevice,
+  ColorTemperatureLightDevice,
+  ExtendedColorLightDevice,
+} from '@matter/main/devices';
+import {
+  LevelControlServer,
+  ColorControlServer,
+  hsvToXy,
+  kelvinToMireds,
+  xyToHsv,
+} from '@matter/main/behaviors';
+
+import { scaleNumber, scaleAndRoundNumber } from '../MatterBridgeUtil.mjs';
+import { makeHomeyOnOffServer, makeCombinedConverters, onOffToMatter } from './behaviors.mjs';
+
+// The color temperature range of a light, in Kelvin, unless overridden for the device.
+const DEFAULT_COLOR_TEMPERATURE = {
+  min: 2200,
+  max: 6500,
+};
+
+// Matter's CIE x & y are 0–1 multiplied by 65536, up to 0xFEFF.
+const MAX_XY = 0xFEFF;
+
+export default {
+  id: 'light',
+  classes: ['light'],
+  capabilities: ['onoff', 'dim', 'light_hue', 'light_saturation', 'light_temperature', 'light_mode'],
+  getEndpoints: ({ device, override }) => {
+    // Homey's light_temperature is 0 when cold, and 1 when warm, so it scales to the range of mireds as-is.
+    const colorTemperature = override?.colorTemperature ?? DEFAULT_COLOR_TEMPERATURE;
+    const minMireds = kelvinToMireds(colorTemperature.max);
+    const maxMireds = kelvinToMireds(colorTemperature.min);
+
+    // Hue & saturation are 0–1 in Homey
+    const setColor = async ({ hue, saturation }) => {
+      await Promise.all([
+        device.capabilitiesObj.onoff && device.setCapabilityValue({
+          capabilityId: 'onoff',
+          value: true,
+        }),
+        device.capabilitiesObj.light_hue && device.setCapabilityValue({
+          capabilityId: 'light_hue',
+          value: hue,
+        }),
+        device.capabilitiesObj.light_saturation && device.setCapabilityValue({
+          capabilityId: 'light_saturation',
+          value: saturation,
+        }),
+        device.capabilitiesObj.light_mode && device.setCapabilityValue({
+          capabilityId: 'light_mode',
+          value: 'color',
+        }),
+      ]);
+    };
+
+    class HomeyLevelControlServer extends LevelControlServer {
+      async moveToLevelWithOnOff({
+        level,
+      }) {
+        await Promise.all([
+          device.capabilitiesObj.onoff && device.setCapabilityValue({
+            capabilityId: 'onoff',
+            value: level > 0,
+          }),
+          device.capabilitiesObj.dim && device.setCapabilityValue({
+            capabilityId: 'dim',
+            value: scaleNumber(level, 1, 254, 0, 1),
+          }),
+        ]);
+      }
+
+      async moveToLevel({
+        level,
+      }) {
+        await device.setCapabilityValue({
+          capabilityId: 'dim',
+          value: scaleNumber(level, 1, 254, 0, 1),
+        });
+      }
+    }
+
+    class HomeyColorControlServer extends ColorControlServer {
+
+      async moveToHueAndSaturation({
+        hue,
+        saturation,
+      }) {
+        await setColor({
+          hue: scaleNumber(hue, 0, 254, 0, 1),
+          saturation: scaleNumber(saturation, 1, 254, 0, 1),
+        });
+      }
+
+      // Some controllers only set colors as CIE x & y
+      async moveToColor({
+        colorX,
+        colorY,
+      }) {
+        const [hue, saturation] = xyToHsv(colorX / 65536, colorY / 65536);
+        await setColor({
+          hue: scaleNumber(hue, 0, 360, 0, 1),
+          saturation,
+        });
+      }
+
+      async moveToColorTemperature({
+        colorTemperatureMireds,
+      }) {
+        await Promise.all([
+          device.capabilitiesObj.onoff && device.setCapabilityValue({
+            capabilityId: 'onoff',
+            value: true,
+          }),
+          device.capabilitiesObj.light_temperature && device.setCapabilityValue({
+            capabilityId: 'light_temperature',
+            value: scaleNumber(colorTemperatureMireds, minMireds, maxMireds, 0, 1),
+          }),
+          device.capabilitiesObj.light_mode && device.setCapabilityValue({
+            capabilityId: 'light_mode',
+            value: 'temperature',
+          }),
+        ]);
+      }
+
+    }
+
+    const hasColor = !!(device.capabilitiesObj?.light_hue && device.capabilitiesObj?.light_saturation);
+    const hasTemperature = !!device.capabilitiesObj?.light_temperature;
+
+    const endpoint = {
+      id: 'main',
+      deviceType: OnOffLightDevice,
+      behaviors: [],
+      state: {},
+      capabilities: {},
+    };
+
+    if (device.capabilitiesObj?.onoff) {
+      endpoint.behaviors.push(makeHomeyOnOffServer(device));
+      endpoint.capabilities.onoff = onOffToMatter;
+    }
+
+    if (device.capabilitiesObj?.dim) {
+      endpoint.deviceType = DimmableLightDevice;
+      endpoint.behaviors.push(HomeyLevelControlServer);
+      endpoint.state.levelControl = {
+        minLevel: 1,
+        maxLevel: 254,
+      };
+      endpoint.capabilities.dim = value => ({
+        levelControl: {
+          currentLevel: typeof value === 'number'
+            ? scaleAndRoundNumber(value, 0, 1, 1, 254)
+            : 1,
+        },
+      });
+    }
+
+    if (hasColor) {
+      const colorToMatter = ({
+        light_hue: hue,
+        light_saturation: saturation,
+      }) => {
+        hue = typeof hue === 'number' ? hue : 0;
+        saturation = typeof saturation === 'number' ? saturation : 0;
+
+        const [x, y] = hsvToXy(hue * 360, saturation);
+
+        return {
+          colorControl: {
+            currentHue: scaleAndRoundNumber(hue, 0, 1, 0, 254),
+            currentSaturation: scaleAndRoundNumber(saturation, 0, 1, 0, 254),
+            currentX: Math.min(Math.round(x * 65536), MAX_XY),
+            currentY: Math.min(Math.round(y * 65536), MAX_XY),
+          },
+        };
+      };
+
+      Object.assign(endpoint.capabilities, makeCombinedConverters(device, ['light_hue', 'light_saturation'], colorToMatter));
+    }
+
+    if (hasTemperature) {
+      endpoint.state.colorControl = {
+        colorTempPhysicalMinMireds: minMireds,
+        colorTempPhysicalMaxMireds: maxMireds,
+        coupleColorTempToLevelMinMireds: minMireds,
+      };
+      endpoint.capabilities.light_temperature = value => ({
+        colorControl: {
+          colorTemperatureMireds: typeof value === 'number'
+            ? scaleAndRoundNumber(value, 0, 1, minMireds, maxMireds)
+            : Math.round((minMireds + maxMireds) / 2),
+        },
+      });
+    }
+
+    if (hasColor && !hasTemperature) {
+      endpoint.deviceType = DimmableLightDevice;
+      endpoint.behaviors.push(HomeyColorControlServer.with(ColorControl.Feature.HueSaturation, ColorControl.Feature.Xy)); // Only Color
+      endpoint.state.colorControl = {
+        colorMode: ColorControl.ColorMode.CurrentHueAndCurrentSaturation,
+      };
+    } else if (!hasColor && hasTemperature) {
+      endpoint.deviceType = ColorTemperatureLightDevice;
+      endpoint.behaviors.push(HomeyColorControlServer.with(ColorControl.Feature.ColorTemperature)); // Only Temperature
+      endpoint.state.colorControl.colorMode = ColorControl.ColorMode.ColorTemperatureMireds;
+    } else if (hasColor && hasTemperature) {
+      endpoint.deviceType = ExtendedColorLightDevice;
+      endpoint.behaviors.push(HomeyColorControlServer.with(ColorControl.Feature.HueSaturation, ColorControl.Feature.Xy, ColorControl.Feature.ColorTemperature)); // Both Color & Temperature
+      endpoint.state.colorControl.colorMode = ColorControl.ColorMode.CurrentHueAndCurrentSaturation;
+
+      // TODO: Apple Home does not seem to change the mode when this is updated.
+      if (device.capabilitiesObj?.light_mode) {
+        endpoint.capabilities.light_mode = value => ({
+          colorControl: {
+            colorMode: value === 'temperature'
+              ? ColorControl.ColorMode.ColorTemperatureMireds
+              : ColorControl.ColorMode.CurrentHueAndCurrentSaturation,
+          },
+        });
+      }
+    }
+
+    return [endpoint];
+  },
+};
@@ -0,0 +1,52 @@
+import {
+  DoorLock,
+} from '@matter/main/clusters';
+import {
+  DoorLockDevice,
+} from '@matter/main/devices';
+import {
+  DoorLockServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'lock',
+  classes: ['lock'],
+  capabilities: ['locked'],
+  getEndpoints: ({ device }) => {
+    class HomeyDoorLockServer extends DoorLockServer {
+      async lockDoor() {
+        await device.setCapabilityValue({
+          capabilityId: 'locked',
+          value: true,
+        });
+      }
+      async unlockDoor() {
+        await device.setCapabilityValue({
+          capabilityId: 'locked',
+          value: false,
+        });
+      }
+    }
+
+    return [{
+      id: 'main',
+      deviceType: DoorLockDevice,
+      behaviors: [HomeyDoorLockServer],
+      state: {
+        doorLock: {
+          lockType: DoorLock.LockType.Other,
+          actuatorEnabled: true,
+        },
+      },
+      capabilities: {
+        locked: value => ({
+          doorLock: {
+            lockState: value === true
+              ? DoorLock.LockState.Locked
+              : DoorLock.LockState.Unlocked,
+          },
+        }),
+      },
+    }];
+  },
+};
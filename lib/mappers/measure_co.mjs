@@ -0,0 +1,35 @@
+import {
+  ConcentrationMeasurement,
+} from '@matter/main/clusters';
+import {
+  SmokeCoAlarmDevice,
+} from '@matter/main/devices';
+import {
+  CarbonMonoxideConcentrationMeasurementServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'measure_co',
+  classes: ['sensor'],
+  capabilities: ['measure_co'],
+  getEndpoints: () => [{
+    id: 'measure_co',
+    deviceType: SmokeCoAlarmDevice,
+    behaviors: [CarbonMonoxideConcentrationMeasurementServer.with('NumericMeasurement')],
+    state: {
+      carbonMonoxideConcentrationMeasurement: {
+        measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ppm,
+        measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
+      },
+    },
+    capabilities: {
+      measure_co: value => ({
+        carbonMonoxideConcentrationMeasurement: {
+          measuredValue: typeof value === 'number'
+            ? Math.round(value)
+            : null,
+        },
+      }),
+    },
+  }],
+};
@@ -0,0 +1,35 @@
+import {
+  ConcentrationMeasurement,
+} from '@matter/main/clusters';
+import {
+  AirQualitySensorDevice,
+} from '@matter/main/devices';
+import {
+  CarbonDioxideConcentrationMeasurementServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'measure_co2',
+  classes: ['sensor'],
+  capabilities: ['measure_co2'],
+  getEndpoints: () => [{
+    id: 'measure_co2',
+    deviceType: AirQualitySensorDevice,
+    behaviors: [CarbonDioxideConcentrationMeasurementServer.with('NumericMeasurement')],
+    state: {
+      carbonDioxideConcentrationMeasurement: {
+        measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ppm,
+        measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
+      },
+    },
+    capabilities: {
+      measure_co2: value => ({
+        carbonDioxideConcentrationMeasurement: {
+          measuredValue: typeof value === 'number'
+            ? Math.round(value)
+            : null,
+        },
+      }),
+    },
+  }],
+};
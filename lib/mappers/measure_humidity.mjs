@@ -0,0 +1,26 @@
+import {
+  HumiditySensorDevice,
+} from '@matter/main/devices';
+import {
+  RelativeHumidityMeasurementServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'measure_humidity',
+  classes: ['sensor', 'thermostat', 'heatpump', 'heater', 'airconditioning'],
+  capabilities: ['measure_humidity'],
+  getEndpoints: () => [{
+    id: 'measure_humidity',
+    deviceType: HumiditySensorDevice,
+    behaviors: [RelativeHumidityMeasurementServer],
+    capabilities: {
+      measure_humidity: value => ({
+        relativeHumidityMeasurement: {
+          measuredValue: typeof value === 'number'
+            ? Math.round(value * 100)
+            : null,
+        },
+      }),
+    },
+  }],
+};
@@ -0,0 +1,22 @@
+import {
+  LightSensorDevice,
+} from '@matter/main/devices';
+
+export default {
+  id: 'measure_luminance',
+  classes: ['sensor'],
+  capabilities: ['measure_luminance'],
+  getEndpoints: () => [{
+    id: 'measure_luminance',
+    deviceType: LightSensorDevice,
+    capabilities: {
+      measure_luminance: value => ({
+        illuminanceMeasurement: {
+          measuredValue: typeof value === 'number' && value > 0
+            ? 10000 * Math.log10(value) + 1
+            : null,
+        },
+      }),
+    },
+  }],
+};
@@ -0,0 +1,35 @@
+import {
+  ConcentrationMeasurement,
+} from '@matter/main/clusters';
+import {
+  AirQualitySensorDevice,
+} from '@matter/main/devices';
+import {
+  Pm10ConcentrationMeasurementServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'measure_pm10',
+  classes: ['sensor'],
+  capabilities: ['measure_pm10'],
+  getEndpoints: () => [{
+    id: 'measure_pm10',
+    deviceType: AirQualitySensorDevice,
+    behaviors: [Pm10ConcentrationMeasurementServer.with('NumericMeasurement')],
+    state: {
+      pm10ConcentrationMeasurement: {
+        measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ugm3,
+        measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
+      },
+    },
+    capabilities: {
+      measure_pm10: value => ({
+        pm10ConcentrationMeasurement: {
+          measuredValue: typeof value === 'number'
+            ? Math.round(value)
+            : null,
+        },
+      }),
+    },
+  }],
+};
@@ -0,0 +1,35 @@
+import {
+  ConcentrationMeasurement,
+} from '@matter/main/clusters';
+import {
+  AirQualitySensorDevice,
+} from '@matter/main/devices';
+import {
+  Pm25ConcentrationMeasurementServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'measure_pm25',
+  classes: ['sensor'],
+  capabilities: ['measure_pm25'],
+  getEndpoints: () => [{
+    id: 'measure_pm25',
+    deviceType: AirQualitySensorDevice,
+    behaviors: [Pm25ConcentrationMeasurementServer.with('NumericMeasurement')],
+    state: {
+      pm25ConcentrationMeasurement: {
+        measurementUnit: ConcentrationMeasurement.MeasurementUnit.Ugm3,
+        measurementMedium: ConcentrationMeasurement.MeasurementMedium.Air,
+      },
+    },
+    capabilities: {
+      measure_pm25: value => ({
+        pm25ConcentrationMeasurement: {
+          measuredValue: typeof value === 'number'
+            ? Math.round(value)
+            : null,
+        },
+      }),
+    },
+  }],
+};
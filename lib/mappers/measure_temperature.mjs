@@ -0,0 +1,26 @@
+import {
+  TemperatureSensorDevice,
+} from '@matter/main/devices';
+import {
+  TemperatureMeasurementServer,
+} from '@matter/main/behaviors';
+
+export default {
+  id: 'measure_temperature',
+  classes: ['sensor'],
+  capabilities: ['measure_temperature'],
+  getEndpoints: () => [{
+    id: 'measure_temperature',
+    deviceType: TemperatureSensorDevice,
+    behaviors: [TemperatureMeasurementServer],
+    capabilities: {
+      measure_temperature: value => ({
+        temperatureMeasurement: {
+          measuredValue: typeof value === 'number'
+            ? Math.round(value * 100)
+            : null,
+        },
+      }),
+    },
+  }],
+};
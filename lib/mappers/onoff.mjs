@@ -0,0 +1,20 @@
+import {
+  OnOffPlugInUnitDevice,
+} from '@matter/main/devices';
+
+import { makeHomeyOnOffServer, onOffToMatter } from './behaviors.mjs';
+
+// If no other Mapper handles the device, but it has an onoff capability, add it as an OnOffPlugInUnitDevice.
+export default {
+  id: 'onoff',
+  fallback: true,
+  capabilities: ['onoff'],
+  getEndpoints: ({ device }) => [{
+    id: 'main',
+    deviceType: OnOffPlugInUnitDevice,
+    behaviors: [makeHomeyOnOffServer(device)],
+    capabilities: {
+      onoff: onOffToMatter,
+    },
+  }],
+};
@@ -0,0 +1,20 @@
+import {
+  OnOffPlugInUnitDevice,
+} from '@matter/main/devices';
+
+import { makeHomeyOnOffServer, onOffToMatter } from './behaviors.mjs';
+
+// Power & energy measurements are added by the energy Mapper.
+export default {
+  id: 'socket',
+  classes: ['socket'],
+  capabilities: ['onoff'],
+  getEndpoints: ({ device }) => [{
+    id: 'main',
+    deviceType: OnOffPlugInUnitDevice,
+    behaviors: [makeHomeyOnOffServer(device)],
+    capabilities: {
+      onoff: onOffToMatter,
+    },
+  }],
+};
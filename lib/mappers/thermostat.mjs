@@ -0,0 +1,248 @@
+import {
+  Thermostat,
+} from '@matter/main/clusters';
+import {
+  ThermostatDevice,
+  RoomAirConditionerDevice,
+} from '@matter/main/devices';
+import {
+  ThermostatServer,
+} from '@matter/main/behaviors';
+
+const THERMOSTAT_MODE_TO_SYSTEM_MODE = {
+  off: Thermostat.SystemMode.Off,
+  auto: Thermostat.SystemMode.Auto,
+  cool: Thermostat.SystemMode.Cool,
+  heat: Thermostat.SystemMode.Heat,
+};
+
+// Matter temperatures are in 0.01 °C
+function toMatterTemperature(value) {
+  return Math.round(value * 100);
+}
+
+// Round to the capability's step, e.g. 0.5 °C, without floating point errors
+function toHomeyTemperature(value, { step } = {}) {
+  const temperature = value / 100;
+  if (typeof step !== 'number' || step <= 0) return temperature;
+
+  return Number((Math.round(temperature / step) * step).toFixed(10));
+}
+
+function getSetpointLimits({ min, max } = {}) {
+  return {
+    min: typeof min === 'number' ? toMatterTemperature(min) : 0,
+    max: typeof max === 'number' ? toMatterTemperature(max) : 10000,
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+export default {
+  id: 'thermostat',
+  classes: ['thermostat', 'heatpump', 'heater', 'airconditioning'],
+  capabilities: ['target_temperature', 'measure_temperature', 'thermostat_mode', 'target_temperature.cool'],
+  getEndpoints: ({ device, deviceClass }) => {
+    const thermostatServerFeatures = [];
+
+    let hasHeat = true;
+    let hasCool = false;
+    let hasAuto = false;
+
+    const thermostatModes = (device.capabilitiesObj?.thermostat_mode?.values ?? []).map(({ id }) => id);
+    if (device.capabilitiesObj?.thermostat_mode) {
+      hasHeat = thermostatModes.includes('heat');
+      hasCool = thermostatModes.includes('cool');
+      hasAuto = thermostatModes.includes('auto');
+    }
+
+    // Thermostats without a heat or cool mode, e.g. with only off & auto, are exposed as heating-only with a single setpoint
+    if (!hasHeat && !hasCool) hasHeat = true;
+
+    // Matter only has an Auto mode for thermostats that can both heat & cool
+    hasAuto = hasAuto && hasHeat && hasCool;
+
+    hasHeat && thermostatServerFeatures.push(Thermostat.Feature.Heating);
+    hasCool && thermostatServerFeatures.push(Thermostat.Feature.Cooling);
+    hasAuto && thermostatServerFeatures.push(Thermostat.Feature.AutoMode);
+
+    // The target temperature is used to both heat & cool, unless the device has a separate target to cool to,
+    // e.g. for Auto mode, which keeps the temperature between the heating & cooling setpoints.
+    const heatCapabilityId = 'target_temperature';
+    const coolCapabilityId = device.capabilitiesObj?.['target_temperature.cool']
+      ? 'target_temperature.cool'
+      : 'target_temperature';
+
+    const heatLimits = getSetpointLimits(device.capabilitiesObj?.[heatCapabilityId]);
+    const coolLimits = getSetpointLimits(device.capabilitiesObj?.[coolCapabilityId]);
+
+    const deviceType = (() => {
+      switch (deviceClass) {
+        case 'airconditioning': return RoomAirConditionerDevice;
+        default: return ThermostatDevice;
+      }
+    })();
+
+    const defaultSystemMode = hasHeat
+      ? Thermostat.SystemMode.Heat
+      : Thermostat.SystemMode.Cool;
+
+    // Homey's modes that Matter doesn't support for this thermostat, e.g. auto without heat & cool, use the default mode
+    const toSystemMode = thermostatMode => {
+      const systemMode = THERMOSTAT_MODE_TO_SYSTEM_MODE[thermostatMode];
+      if (systemMode === Thermostat.SystemMode.Off) return systemMode;
+      if (systemMode === Thermostat.SystemMode.Heat && hasHeat) return systemMode;
+      if (systemMode === Thermostat.SystemMode.Cool && hasCool) return systemMode;
+      if (systemMode === Thermostat.SystemMode.Auto && hasAuto) return systemMode;
+      return defaultSystemMode;
+    };
+
+    const state = {
+      systemMode: defaultSystemMode,
+      controlSequenceOfOperation: (() => {
+        if (hasHeat && hasCool) return Thermostat.ControlSequenceOfOperation.CoolingAndHeating;
+        if (hasCool) return Thermostat.ControlSequenceOfOperation.CoolingOnly;
+        return Thermostat.ControlSequenceOfOperation.HeatingOnly;
+      })(),
+      localTemperature: null,
+    };
+
+    if (hasHeat) {
+      Object.assign(state, {
+        occupiedHeatingSetpoint: heatLimits.min,
+        minHeatSetpointLimit: heatLimits.min,
+        absMinHeatSetpointLimit: heatLimits.min,
+        maxHeatSetpointLimit: heatLimits.max,
+        absMaxHeatSetpointLimit: heatLimits.max,
+      });
+    }
+
+    if (hasCool) {
+      Object.assign(state, {
+        occupiedCoolingSetpoint: coolLimits.max,
+        minCoolSetpointLimit: coolLimits.min,
+        absMinCoolSetpointLimit: coolLimits.min,
+        maxCoolSetpointLimit: coolLimits.max,
+        absMaxCoolSetpointLimit: coolLimits.max,
+      });
+    }
+
+    if (hasAuto) {
+      state.minSetpointDeadBand = 0;
+    }
+
+    const capabilities = {
+      measure_temperature: value => ({
+        thermostat: {
+          localTemperature: typeof value === 'number'
+            ? toMatterTemperature(value)
+            : null,
+        },
+      }),
+      thermostat_mode: value => ({
+        thermostat: {
+          systemMode: toSystemMode(value),
+        },
+      }),
+    };
+
+    // Both setpoints are converted from the same capability when there's no separate target to cool to
+    for (const capabilityId of new Set([heatCapabilityId, coolCapabilityId])) {
+      capabilities[capabilityId] = value => {
+        if (typeof value !== 'number') return {};
+
+        const thermostat = {};
+        if (hasHeat && capabilityId === heatCapabilityId) {
+          thermostat.occupiedHeatingSetpoint = toMatterTemperature(value);
+        }
+        if (hasCool && capabilityId === coolCapabilityId) {
+          thermostat.occupiedCoolingSetpoint = toMatterTemperature(value);
+        }
+        return { thermostat };
+      };
+    }
+
+    const setTemperature = async (capabilityId, value) => {
+      await device.setCapabilityValue({
+        capabilityId,
+        value: toHomeyTemperature(value, device.capabilitiesObj?.[capabilityId]),
+      });
+    };
+
+    return [{
+      id: 'main',
+      deviceType,
+      behaviors: [
+        class extends ThermostatServer.with(...thermostatServerFeatures) {
+          // The amount is in 0.1 °C, and the setpoints are changed in Homey by their $Changing events
+          async setpointRaiseLower({ mode, amount }) {
+            if (hasHeat && mode !== Thermostat.SetpointRaiseLowerMode.Cool) {
+              this.state.occupiedHeatingSetpoint = clamp(
+                this.state.occupiedHeatingSetpoint + amount * 10,
+                this.state.minHeatSetpointLimit,
+                this.state.maxHeatSetpointLimit,
+              );
+            }
+
+            if (hasCool && mode !== Thermostat.SetpointRaiseLowerMode.Heat) {
+              this.state.occupiedCoolingSetpoint = clamp(
+                this.state.occupiedCoolingSetpoint + amount * 10,
+                this.state.minCoolSetpointLimit,
+                this.state.maxCoolSetpointLimit,
+              );
+            }
+          }
+        },
+      ],
+      state: {
+        thermostat: state,
+      },
+      capabilities,
+      // Only controllers' writes are sent to Homey. The bridge writes Homey's state in an offline context.
+      // A shared target temperature is only written by the setpoint of the active mode, and in other modes by
+      // the heating setpoint, unless only the cooling setpoint is written.
+      onInit: async endpoint => {
+        const hasSharedSetpoint = heatCapabilityId === coolCapabilityId;
+
+        endpoint.events.thermostat.events.occupiedHeatingSetpoint$Changing?.on(async (value, oldValue, context) => {
+          if (context?.offline) return;
+
+          const { systemMode } = context.agentFor(endpoint).get(ThermostatServer).state;
+          if (hasSharedSetpoint && systemMode === Thermostat.SystemMode.Cool) return;
+
+          await setTemperature(heatCapabilityId, value);
+        });
+
+        endpoint.events.thermostat.events.occupiedCoolingSetpoint$Changing?.on(async (value, oldValue, context) => {
+          if (context?.offline) return;
+
+          const { systemMode, occupiedHeatingSetpoint } = context.agentFor(endpoint).get(ThermostatServer).state;
+          if (hasSharedSetpoint && systemMode === Thermostat.SystemMode.Heat) return;
+          if (hasSharedSetpoint && systemMode !== Thermostat.SystemMode.Cool
+            && occupiedHeatingSetpoint !== endpoint.state.thermostat.occupiedHeatingSetpoint) return;
+
+          await setTemperature(coolCapabilityId, value);
+        });
+
+        endpoint.events.thermostat.events.systemMode$Changing.on(async (value, oldValue, context) => {
+          if (context?.offline) return;
+
+          if (!device.capabilitiesObj?.thermostat_mode) {
+            throw new Error('Cannot Change Thermostat Mode');
+          };
+
+          const thermostatMode = thermostatModes.find(mode => THERMOSTAT_MODE_TO_SYSTEM_MODE[mode] === value)
+            ?? thermostatModes.find(mode => toSystemMode(mode) === value);
+          if (!thermostatMode) return;
+
+          await device.setCapabilityValue({
+            capabilityId: 'thermostat_mode',
+            value: thermostatMode,
+          });
+        });
+      },
+    }];
+  },
+};
\ No newline at end of file
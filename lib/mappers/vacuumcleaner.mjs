@@ -0,0 +1,233 @@
+import {
+  ModeBase,
+  RvcCleanMode,
+  RvcOperationalState,
+  RvcRunMode,
+} from '@matter/main/clusters';
+import {
+  RoboticVacuumCleanerDevice,
+} from '@matter/main/devices';
+import {
+  RvcCleanModeServer,
+  RvcOperationalStateServer,
+  RvcRunModeServer,
+} from '@matter/main/behaviors';
+
+import { makeCombinedConverters } from './behaviors.mjs';
+
+const RUN_MODE_IDLE = 0;
+const RUN_MODE_CLEANING = 1;
+
+const CLEAN_MODE_VACUUM = 0;
+const CLEAN_MODE_SPOT = 1;
+
+const VACUUMCLEANER_STATE_TO_OPERATIONAL_STATE = {
+  cleaning: RvcOperationalState.OperationalState.Running,
+  spot_cleaning: RvcOperationalState.OperationalState.Running,
+  docked: RvcOperationalState.OperationalState.Docked,
+  charging: RvcOperationalState.OperationalState.Charging,
+  stopped: RvcOperationalState.OperationalState.Stopped,
+};
+
+const NO_ERROR = {
+  commandResponseState: {
+    errorStateId: RvcOperationalState.ErrorState.NoError,
+  },
+};
+
+// Robot vacuums are started & stopped with the Run Mode, and paused, resumed & sent home with the Operational State.
+// Homey has no paused state, so a paused vacuum is stopped, and reported as paused until its state changes.
+export default {
+  id: 'vacuumcleaner',
+  classes: ['vacuumcleaner'],
+  capabilities: ['onoff', 'vacuumcleaner_state'],
+  getEndpoints: ({ device }) => {
+    const hasState = !!device.capabilitiesObj?.vacuumcleaner_state;
+    const hasStateValue = value => !!device.capabilitiesObj?.vacuumcleaner_state?.values?.some(({ id }) => id === value);
+    const hasSpotCleaning = hasStateValue('spot_cleaning');
+    const hasDock = hasStateValue('docked');
+
+    let isPaused = false;
+    let cleanMode = CLEAN_MODE_VACUUM;
+
+    // Convert the combined Homey state to the Matter state
+    const toMatter = ({
+      onoff,
+      vacuumcleaner_state: state,
+    }) => {
+      const isCleaning = hasState
+        ? state === 'cleaning' || state === 'spot_cleaning'
+        : onoff === true;
+
+      // A paused vacuum stays paused while it's stopped
+      if (hasState ? state !== 'stopped' : isCleaning) isPaused = false;
+      if (state === 'spot_cleaning') cleanMode = CLEAN_MODE_SPOT;
+      if (state === 'cleaning') cleanMode = CLEAN_MODE_VACUUM;
+
+      const operationalState = (() => {
+        if (isPaused) return RvcOperationalState.OperationalState.Paused;
+        if (!hasState) {
+          return isCleaning
+            ? RvcOperationalState.OperationalState.Running
+            : RvcOperationalState.OperationalState.Stopped;
+        }
+        return VACUUMCLEANER_STATE_TO_OPERATIONAL_STATE[state] ?? RvcOperationalState.OperationalState.Stopped;
+      })();
+
+      return {
+        rvcRunMode: {
+          currentMode: isCleaning ? RUN_MODE_CLEANING : RUN_MODE_IDLE,
+        },
+        rvcCleanMode: {
+          currentMode: cleanMode,
+        },
+        rvcOperationalState: {
+          operationalState,
+        },
+      };
+    };
+
+    const setCleaning = async cleaning => {
+      if (hasState) {
+        await device.setCapabilityValue({
+          capabilityId: 'vacuumcleaner_state',
+          value: cleaning
+            ? cleanMode === CLEAN_MODE_SPOT ? 'spot_cleaning' : 'cleaning'
+            : 'stopped',
+        });
+      } else {
+        await device.setCapabilityValue({
+          capabilityId: 'onoff',
+          value: cleaning,
+        });
+      }
+    };
+
+    class HomeyRvcRunModeServer extends RvcRunModeServer {
+      async changeToMode({ newMode }) {
+        const result = super.changeToMode({ newMode });
+        if (result.status !== ModeBase.ModeChangeStatus.Success) return result;
+
+        isPaused = false;
+        await setCleaning(newMode === RUN_MODE_CLEANING);
+        return result;
+      }
+    }
+
+    class HomeyRvcCleanModeServer extends RvcCleanModeServer {
+      async changeToMode({ newMode }) {
+        const result = super.changeToMode({ newMode });
+        if (result.status !== ModeBase.ModeChangeStatus.Success) return result;
+
+        cleanMode = newMode;
+
+        // Switch between cleaning & spot cleaning, when already cleaning
+        const state = device.capabilitiesObj?.vacuumcleaner_state?.value;
+        if (state === 'cleaning' || state === 'spot_cleaning') {
+          await setCleaning(true);
+        }
+
+        return result;
+      }
+    }
+
+    class HomeyRvcOperationalStateServer extends RvcOperationalStateServer {
+      async pause() {
+        // Set before stopping, so the stopped state that Homey reports back is shown as paused
+        isPaused = true;
+        await setCleaning(false).catch(err => {
+          isPaused = false;
+          throw err;
+        });
+
+        this.state.operationalState = RvcOperationalState.OperationalState.Paused;
+        return NO_ERROR;
+      }
+
+      async resume() {
+        isPaused = false;
+        await setCleaning(true);
+        return NO_ERROR;
+      }
+    }
+
+    // Only vacuums with a dock can be sent home. Implementing the command enables it.
+    class HomeyDockableRvcOperationalStateServer extends HomeyRvcOperationalStateServer {
+      async goHome() {
+        isPaused = false;
+        await device.setCapabilityValue({
+          capabilityId: 'vacuumcleaner_state',
+          value: 'docked',
+        });
+        return NO_ERROR;
+      }
+    }
+
+    const operationalStateList = [
+      RvcOperationalState.OperationalState.Stopped,
+      RvcOperationalState.OperationalState.Running,
+      RvcOperationalState.OperationalState.Paused,
+      RvcOperationalState.OperationalState.Error,
+    ];
+    if (hasStateValue('charging')) operationalStateList.push(RvcOperationalState.OperationalState.Charging);
+    if (hasDock) operationalStateList.push(RvcOperationalState.OperationalState.Docked);
+
+    const cleanModes = [{
+      label: 'Vacuum',
+      mode: CLEAN_MODE_VACUUM,
+      modeTags: [{ value: RvcCleanMode.ModeTag.Vacuum }],
+    }];
+    if (hasSpotCleaning) {
+      cleanModes.push({
+        label: 'Spot',
+        mode: CLEAN_MODE_SPOT,
+        modeTags: [{ value: RvcCleanMode.ModeTag.Vacuum }, { value: RvcCleanMode.ModeTag.Min }],
+      });
+    }
+
+    const capabilities = makeCombinedConverters(device, [
+      'onoff',
+      hasState && 'vacuumcleaner_state',
+    ].filter(Boolean), toMatter);
+
+    return [{
+      id: 'main',
+      deviceType: RoboticVacuumCleanerDevice,
+      behaviors: [
+        HomeyRvcRunModeServer,
+        HomeyRvcCleanModeServer,
+        hasDock
+          ? HomeyDockableRvcOperationalStateServer
+          : HomeyRvcOperationalStateServer,
+      ],
+      state: {
+        rvcRunMode: {
+          supportedModes: [{
+            label: 'Idle',
+            mode: RUN_MODE_IDLE,
+            modeTags: [{ value: RvcRunMode.ModeTag.Idle }],
+          }, {
+            label: 'Cleaning',
+            mode: RUN_MODE_CLEANING,
+            modeTags: [{ value: RvcRunMode.ModeTag.Cleaning }],
+          }],
+          currentMode: RUN_MODE_IDLE,
+        },
+        rvcCleanMode: {
+          supportedModes: cleanModes,
+          currentMode: CLEAN_MODE_VACUUM,
+        },
+        rvcOperationalState: {
+          operationalStateList: operationalStateList.map(operationalStateId => ({ operationalStateId })),
+          operationalState: RvcOperationalState.OperationalState.Stopped,
+          operationalError: {
+            errorStateId: RvcOperationalState.ErrorState.NoError,
+          },
+          phaseList: null,
+          currentPhase: null,
+        },
+      },
+      capabilities,
+    }];
+  },
+};
@@ -0,0 +1,166 @@
+import {
+  WindowCovering,
+} from '@matter/main/clusters';
+import {
+  WindowCoveringDevice,
+} from '@matter/main/devices';
+import {
+  WindowCoveringServer,
+} from '@matter/main/behaviors';
+
+import { scaleNumber } from '../MatterBridgeUtil.mjs';
+
+const WINDOWCOVERINGS_STATE_TO_MOVEMENT_STATUS = {
+  up: WindowCovering.MovementStatus.Opening,
+  down: WindowCovering.MovementStatus.Closing,
+  idle: WindowCovering.MovementStatus.Stopped,
+};
+
+// Venetian blinds can also be tilted. Like the position, Homey's tilt is 1 when open, and Matter's is 0.
+function withTilt(HomeyWindowConveringServer, device) {
+  return class extends HomeyWindowConveringServer {
+
+    async goToTiltPercentage({ tiltPercent100thsValue }) {
+      await device.setCapabilityValue({
+        capabilityId: 'windowcoverings_tilt_set',
+        value: 1 - scaleNumber(tiltPercent100thsValue, 0, 10000, 0, 1),
+      });
+    }
+
+  };
+}
+
+function tiltToMatter(value) {
+  const tiltPercent100ths = typeof value === 'number'
+    ? 10000 - scaleNumber(value, 0, 1, 0, 10000)
+    : 5000;
+
+  return {
+    windowCovering: {
+      currentPositionTiltPercent100ths: tiltPercent100ths,
+      targetPositionTiltPercent100ths: tiltPercent100ths,
+    },
+  };
+}
+
+export default {
+  id: 'windowcoverings',
+  classes: ['windowcoverings', 'blinds', 'shutterblinds', 'curtain'],
+  capabilities: ['windowcoverings_set', 'windowcoverings_state', 'windowcoverings_tilt_set'],
+  getEndpoints: ({ device }) => {
+    const hasTilt = !!device.capabilitiesObj?.windowcoverings_tilt_set;
+    const tiltFeatures = hasTilt
+      ? [WindowCovering.Feature.Tilt, WindowCovering.Feature.PositionAwareTilt]
+      : [];
+    const tiltCapabilities = hasTilt
+      ? { windowcoverings_tilt_set: tiltToMatter }
+      : {};
+    const tiltState = hasTilt
+      ? {
+        windowCovering: {
+          type: WindowCovering.WindowCoveringType.TiltBlindLift,
+          endProductType: WindowCovering.EndProductType.InteriorVenetianBlind,
+        },
+      }
+      : {};
+
+    if (device.capabilitiesObj?.windowcoverings_set) {
+      const HomeyWindowConveringServer = class extends WindowCoveringServer.with(
+        WindowCovering.Feature.Lift,
+        WindowCovering.Feature.PositionAwareLift,
+        ...tiltFeatures,
+      ) {
+
+        async goToLiftPercentage({ liftPercent100thsValue }) {
+          await device.setCapabilityValue({
+            capabilityId: 'windowcoverings_set',
+            value: 1 - scaleNumber(liftPercent100thsValue, 0, 10000, 0, 1),
+          });
+        }
+
+      }
+
+      return [{
+        id: 'main',
+        deviceType: WindowCoveringDevice,
+        behaviors: [hasTilt ? withTilt(HomeyWindowConveringServer, device) : HomeyWindowConveringServer],
+        state: tiltState,
+        capabilities: {
+          ...tiltCapabilities,
+          windowcoverings_set: value => ({
+            windowCovering: {
+              currentPositionLiftPercent100ths: typeof value === 'number'
+                ? 10000 - scaleNumber(value, 0, 1, 0, 10000)
+                : 5000,
+              targetPositionLiftPercent100ths: typeof value === 'number'
+                ? 10000 - scaleNumber(value, 0, 1, 0, 10000)
+                : 5000,
+            },
+          }),
+        },
+      }];
+    }
+
+    // Blinds that can only be tilted
+    if (!device.capabilitiesObj?.windowcoverings_state) {
+      return [{
+        id: 'main',
+        deviceType: WindowCoveringDevice,
+        behaviors: [withTilt(WindowCoveringServer.with(...tiltFeatures), device)],
+        state: {
+          windowCovering: {
+            type: WindowCovering.WindowCoveringType.TiltBlindTiltOnly,
+            endProductType: WindowCovering.EndProductType.TiltOnlyInteriorBlind,
+          },
+        },
+        capabilities: tiltCapabilities,
+      }];
+    }
+
+    const HomeyWindowConveringServer = class extends WindowCoveringServer.with(
+      WindowCovering.Feature.Lift,
+      ...tiltFeatures,
+    ) {
+
+      async upOrOpen() {
+        await device.setCapabilityValue({
+          capabilityId: 'windowcoverings_state',
+          value: 'up',
+        });
+      }
+
+      async downOrClose() {
+        await device.setCapabilityValue({
+          capabilityId: 'windowcoverings_state',
+          value: 'down',
+        });
+      }
+
+      async stopMotion() {
+        await device.setCapabilityValue({
+          capabilityId: 'windowcoverings_state',
+          value: 'idle',
+        });
+      }
+
+    }
+
+    return [{
+      id: 'main',
+      deviceType: WindowCoveringDevice,
+      behaviors: [hasTilt ? withTilt(HomeyWindowConveringServer, device) : HomeyWindowConveringServer],
+      state: tiltState,
+      capabilities: {
+        ...tiltCapabilities,
+        // Note: The status seems to be synced, but it doesn't show up in Apple Home.
+        windowcoverings_state: value => ({
+          windowCovering: {
+            operationalStatus: {
+              lift: WINDOWCOVERINGS_STATE_TO_MOVEMENT_STATUS[value] ?? WindowCovering.MovementStatus.Stopped,
+            },
+          },
+        }),
+      },
+    }];
+  },
+};
@@ -1,14 +1,17 @@
+import fs from 'node:fs';
 import readline from 'node:readline';
 
 import { HomeyAPI } from 'homey-api';
 import { checkbox } from '@inquirer/prompts';
 
 import MatterBridgeServer from './lib/MatterBridgeServer.mjs';
+import { generatePasscode, generateDiscriminator } from './lib/MatterBridgeUtil.mjs';
 
 console.log('----------------------------------------------');
 console.log('Starting Matter Bridge in standalone mode...');
 console.log('Press [D] to select Homey devices to expose to Matter.');
 console.log('Press [R] to restart the server.');
+console.log('Press [P] to generate a new pairing code and restart the server.');
 console.log('Press [Q] to exit.');
 console.log('----------------------------------------------');
 console.log('');
@@ -19,6 +22,21 @@ const api = await HomeyAPI.createLocalAPI({
   // debug: (...props) => console.log(`[HomeyAPI]`, ...props),
 });
 
+// Generate a random pairing code once, and keep it between restarts
+const PAIRING_PATH = './.matter/pairing.json';
+const writePairing = () => {
+  const pairing = {
+    passcode: generatePasscode(),
+    discriminator: generateDiscriminator(),
+  };
+  fs.mkdirSync('./.matter/', { recursive: true });
+  fs.writeFileSync(PAIRING_PATH, JSON.stringify(pairing, null, 2));
+  return pairing;
+};
+const pairing = fs.existsSync(PAIRING_PATH)
+  ? JSON.parse(fs.readFileSync(PAIRING_PATH, 'utf8'))
+  : writePairing();
+
 const server = new MatterBridgeServer({
   api,
   debug: (...props) => console.log(`[MatterBridgeServer]`, ...props),
@@ -30,8 +48,8 @@ const server = new MatterBridgeServer({
   productId: 32768,
   uniqueId: 'standalone',
   serialNumber: 'standalone',
-  passcode: 20202021,
-  discriminator: 3840,
+  passcode: pairing.passcode,
+  discriminator: pairing.discriminator,
   port: 5540,
   enabledDeviceIds: new Set(process.env.HOMEY_DEVICE_IDS?.split(',').map(id => id.trim()).filter(id => id) || []),
 });
@@ -70,6 +88,13 @@ process.stdin.on('keypress', (chunk, key) => {
       break;
     }
 
+    case 'p': {
+      console.log('Generating a new pairing code and restarting...');
+      writePairing();
+      process.exit(42); // Special code to indicate restart
+      break;
+    }
+
     case 'd': {
       Promise.resolve().then(async () => {
         const devices = await api.devices.getDevices();